@@ -0,0 +1,174 @@
+// Pin@Home - Background Service Worker
+// Storage writer, offline downloads, sync and board rescans in helper tabs
+
+import { runStorageOp } from './storageWriter.js';
+import { setBoardOffline, markBoardUsed, resumeOfflineDownloads } from './offlineDownloader.js';
+import { startSync } from './sync.js';
+
+// Rescans in progress (tabId -> cacheKey), kept in session storage because the
+// worker can be stopped between messages
+const RESCAN_TABS_KEY = 'pin_at_home_rescan_tabs';
+
+// Give up on a helper tab that never finishes loading
+const TAB_LOAD_TIMEOUT = 60000;
+
+async function getRescanTabs() {
+  const result = await chrome.storage.session.get([RESCAN_TABS_KEY]);
+  return result[RESCAN_TABS_KEY] || {};
+}
+
+async function setRescanTab(tabId, cacheKey) {
+  const tabs = await getRescanTabs();
+  if (cacheKey) {
+    tabs[tabId] = cacheKey;
+  } else {
+    delete tabs[tabId];
+  }
+  await chrome.storage.session.set({ [RESCAN_TABS_KEY]: tabs });
+}
+
+/**
+ * Tell the new tab(s) about a rescan that failed
+ * @param {string} cacheKey - Board cache key
+ * @param {string} error - What went wrong
+ */
+function sendRescanError(cacheKey, error) {
+  chrome.runtime.sendMessage({ type: 'pin_at_home-rescan-progress', cacheKey, error }).catch(() => {});
+}
+
+/**
+ * Resolve once a tab has finished loading
+ * The tab may have loaded before the listener was attached (cached pages load fast),
+ * so its current status is checked once the listener is in place.
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error('Pinterest took too long to load'));
+    }, TAB_LOAD_TIMEOUT);
+
+    function done() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    }
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') done();
+    }
+    chrome.tabs.onUpdated.addListener(onUpdated);
+
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === 'complete' && !tab.pendingUrl) done();
+    }).catch((e) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(e);
+    });
+  });
+}
+
+// Runs in the helper tab (content script world)
+function injectRescan(cacheKey) {
+  import(chrome.runtime.getURL('src/scannerOnly.js'))
+    .then(module => module.runRescan(cacheKey))
+    .catch(e => console.error('Pin@Home: Rescan failed to start', e));
+}
+
+/**
+ * Open a board in a background tab and scan it
+ * @param {{cacheKey: string, url: string}} request - Board to rescan
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function startRescan({ cacheKey, url }) {
+  const running = await getRescanTabs();
+  if (Object.values(running).includes(cacheKey)) {
+    return { ok: false, error: 'Already rescanning' };
+  }
+
+  let tab = null;
+  try {
+    tab = await chrome.tabs.create({ url, active: false });
+    await setRescanTab(tab.id, cacheKey);
+    await waitForTabLoad(tab.id);
+    await chrome.scripting.executeScript({ target: { tabId: tab.id }, func: injectRescan, args: [cacheKey] });
+    console.log(`🔄 Pin@Home: Rescanning ${cacheKey} in tab ${tab.id}`);
+    return { ok: true };
+  } catch (e) {
+    console.warn('Pin@Home: Rescan failed', e);
+    if (tab) {
+      await setRescanTab(tab.id, null);
+      chrome.tabs.remove(tab.id).catch(() => {});
+    }
+    return { ok: false, error: e.message };
+  }
+}
+
+/**
+ * Close the helper tab of a finished (or failed) rescan
+ * @param {number} tabId
+ */
+async function finishRescan(tabId) {
+  await setRescanTab(tabId, null);
+  chrome.tabs.remove(tabId).catch(() => {});
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === 'pin_at_home-storage') {
+    runStorageOp(message.op, message.args)
+      .then(result => sendResponse({ ok: true, result }))
+      .catch((e) => {
+        console.warn(`Pin@Home: Storage operation "${message.op}" failed`, e);
+        sendResponse({ ok: false, error: e.message, errorName: e.name });
+      });
+    return true; // Async response
+  }
+
+  if (message?.type === 'pin_at_home-offline') {
+    setBoardOffline(message.cacheKey, message.enabled)
+      .then(() => sendResponse({ ok: true }))
+      .catch((e) => {
+        console.warn('Pin@Home: Offline request failed', e);
+        sendResponse({ ok: false, error: e.message });
+      });
+    return true; // Async response
+  }
+
+  if (message?.type === 'pin_at_home-offline-used') {
+    markBoardUsed(message.cacheKey).catch(() => {});
+    return false;
+  }
+
+  if (message?.type === 'pin_at_home-offline-resume') {
+    resumeOfflineDownloads().catch(() => {});
+    return false;
+  }
+
+  if (message?.type === 'pin_at_home-rescan') {
+    startRescan(message).then(sendResponse);
+    return true; // Async response
+  }
+
+  if (message?.type === 'pin_at_home-rescan-progress' && sender.tab && (message.isDone || message.error)) {
+    getRescanTabs().then(tabs => {
+      if (tabs[sender.tab.id] === message.cacheKey) finishRescan(sender.tab.id);
+    });
+  }
+  return false;
+});
+
+// The user closed a helper tab before the scan was done
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const tabs = await getRescanTabs();
+  if (!tabs[tabId]) return;
+  await setRescanTab(tabId, null);
+  sendRescanError(tabs[tabId], 'Rescan tab was closed');
+});
+
+// Offline downloads cut short when the worker was stopped
+resumeOfflineDownloads().catch(e => console.warn('Pin@Home: Failed to resume offline downloads', e));
+
+// Settings and boards changed on other devices while the worker was stopped
+startSync().catch(e => console.warn('Pin@Home: Failed to start sync', e));
@@ -0,0 +1,399 @@
+// Pin@Home - Board Backups
+// Exports boards to a JSON Lines archive and imports them back (format: .docs/architecture.md)
+
+import { CONFIG } from './config.js';
+import { sendStorageOp, getCachedPins } from './cache.js';
+import { getPinHash } from './pinRecord.js';
+import { getImageCandidates } from './utils/imageResolution.js';
+import { getAllDirectoryHandles, importDirectoryEntries } from './utils/localFolderManager.js';
+import { offlineCacheName, requestOffline, toCachedImage } from './offline.js';
+import { SCHEMA_VERSION, LEGACY_SETTINGS_KEYS } from './migrations.js';
+
+const BACKUP_FORMAT = 'pin_at_home-backup';
+const BACKUP_VERSION = 2;
+
+// Lines kept as strings before they are moved into the archive Blob
+const FLUSH_LINES = 100;
+
+// Schema of backups made before schemaVersion was recorded
+const UNVERSIONED_SCHEMA = 2;
+
+// Describe this browser's storage, not the user's boards: never exported
+const MACHINE_KEYS = [
+  CONFIG.OFFLINE_BOARDS_KEY,
+  CONFIG.BATCH_QUEUE_KEY,
+  CONFIG.SCHEMA_KEY,
+  CONFIG.SYNC_SEEDED_FLAG,
+  CONFIG.CANONICAL_KEYS_FLAG,
+  CONFIG.PIN_DATABASE_FLAG
+];
+
+// Maps of per-board entries, merged entry by entry on import
+const BOARD_MAP_KEYS = [CONFIG.BOARD_META_KEY, CONFIG.SCAN_REPORTS_KEY];
+
+// Settings shared by sync.js: restoring one is a new change (newer `updatedAt`)
+const STAMPED_KEYS = [CONFIG.SETTINGS_KEY, CONFIG.PASSIVE_CAPTURE_KEY];
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Get the bytes of a pin's image: from the board's offline copy if saved, else
+ * from pinimg at column size
+ * @param {string} cacheKey - Board cache key
+ * @param {string} url - Stored image URL
+ * @returns {Promise<Blob|null>} Null if the image couldn't be fetched
+ */
+async function readImage(cacheKey, url) {
+  const saved = await caches.match(url, { cacheName: offlineCacheName(cacheKey) });
+  if (saved) return saved.blob();
+
+  for (const candidate of getImageCandidates(url, 'column')) {
+    try {
+      const response = await fetch(candidate);
+      if (response.ok) return response.blob();
+    } catch (e) {
+      return null; // No connection
+    }
+  }
+  return null;
+}
+
+/**
+ * Archive being written: lines go into a Blob every few lines, so the whole file is
+ * never one string in memory
+ */
+function createArchiveWriter() {
+  let blob = new Blob([], { type: 'application/x-ndjson' });
+  let lines = [];
+  return {
+    write(value) {
+      lines.push(JSON.stringify(value), '\n');
+      if (lines.length >= FLUSH_LINES * 2) this.flush();
+    },
+    flush() {
+      blob = new Blob([blob, ...lines], { type: blob.type });
+      lines = [];
+      return blob;
+    }
+  };
+}
+
+/**
+ * Export boards to a backup file
+ * @param {Object} [options]
+ * @param {string|null} [options.cacheKey] - Board to export (null = every board plus settings)
+ * @param {boolean} [options.includeImages] - Add the image bytes (much larger file)
+ * @param {function(string): void} [options.onProgress] - Short progress text
+ * @returns {Promise<Blob>} The archive (JSON Lines)
+ */
+export async function exportBackup({ cacheKey = null, includeImages = false, onProgress } = {}) {
+  const scope = cacheKey ? 'board' : 'all';
+  const cacheKeys = cacheKey
+    ? [cacheKey]
+    : (await sendStorageOp('listBoards')).map(summary => summary.cacheKey);
+
+  // Everything in chrome.storage.local, or only the board's own entries
+  const allData = await chrome.storage.local.get(null);
+  const storage = {};
+  if (scope === 'all') {
+    for (const [key, value] of Object.entries(allData)) {
+      if (!MACHINE_KEYS.includes(key)) storage[key] = value;
+    }
+  } else {
+    for (const mapKey of BOARD_MAP_KEYS) {
+      const entry = allData[mapKey]?.[cacheKey];
+      if (entry) storage[mapKey] = { [cacheKey]: entry };
+    }
+  }
+
+  // Directory handles can't be serialized: folders are re-linked after import
+  const localFolders = scope === 'all'
+    ? (await getAllDirectoryHandles()).map(({ id, name, type }) => ({ id, name, type }))
+    : [];
+
+  const archive = createArchiveWriter();
+  archive.write({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: Date.now(),
+    scope,
+    schemaVersion: SCHEMA_VERSION,
+    storage,
+    localFolders
+  });
+
+  let pinCount = 0;
+  for (const key of cacheKeys) {
+    const pins = await getCachedPins(key);
+    archive.write({ board: { cacheKey: key, pins } });
+    pinCount += pins.length;
+  }
+
+  // Boards are read again, one at a time, rather than kept in memory
+  let imageCount = 0;
+  if (includeImages) {
+    const written = new Set();
+    let done = 0;
+    for (const key of cacheKeys) {
+      for (const pin of await getCachedPins(key)) {
+        const hash = getPinHash(pin.url);
+        if (!written.has(hash)) {
+          written.add(hash);
+          const blob = await readImage(key, pin.url);
+          if (blob) {
+            archive.write({ image: { hash, dataUrl: await blobToDataUrl(blob) } });
+            imageCount++;
+          }
+        }
+        onProgress?.(`${++done}/${pinCount} images`);
+      }
+    }
+  }
+
+  console.log(`📤 Pin@Home: Exported ${cacheKeys.length} board(s), ${pinCount} pins${includeImages ? `, ${imageCount} images` : ''}`);
+  return archive.flush();
+}
+
+/**
+ * Restore chrome.storage.local values from a backup
+ * Board maps (metadata, scan reports) are merged entry by entry; on merge, entries and
+ * settings already here win over the backup's.
+ * @param {Object} storage - Archive storage
+ * @param {'merge'|'replace'} mode
+ */
+async function importStorage(storage, mode) {
+  const current = await chrome.storage.local.get(null);
+  const items = {};
+
+  for (const [key, value] of Object.entries(storage)) {
+    if (MACHINE_KEYS.includes(key)) continue;
+
+    if (BOARD_MAP_KEYS.includes(key)) {
+      for (const [cacheKey, entry] of Object.entries(value || {})) {
+        if (mode === 'merge' && current[key]?.[cacheKey]) continue;
+        if (key === CONFIG.BOARD_META_KEY) {
+          await sendStorageOp('updateBoardMeta', { cacheKey, meta: entry });
+        } else {
+          await sendStorageOp('updateScanReport', { cacheKey, report: entry });
+        }
+      }
+    } else if (mode === 'replace' || !isAlreadySet(current, key)) {
+      items[key] = STAMPED_KEYS.includes(key) ? { ...value, updatedAt: Date.now() } : value;
+    }
+  }
+
+  if (Object.keys(items).length > 0) {
+    await sendStorageOp('setValues', { items });
+  }
+}
+
+/**
+ * Save the images of a backup as the offline copy of the boards whose pins use them
+ * Images are matched to pins by image hash, so pins merged into an existing board
+ * find theirs whatever size their URL points to.
+ * @param {string[]} cacheKeys - Boards imported
+ */
+function createImageRestorer(cacheKeys) {
+  let targets = null; // Image hash -> [{ cacheKey, url }]
+  const boards = new Map(); // cacheKey -> { cache, hadOfflineCopy, restored }
+
+  async function getTargets() {
+    if (!targets) {
+      targets = new Map();
+      for (const cacheKey of cacheKeys) {
+        for (const pin of await getCachedPins(cacheKey)) {
+          const hash = getPinHash(pin.url);
+          if (!targets.has(hash)) targets.set(hash, []);
+          targets.get(hash).push({ cacheKey, url: pin.url });
+        }
+      }
+    }
+    return targets;
+  }
+
+  async function openBoard(cacheKey) {
+    if (!boards.has(cacheKey)) {
+      const hadOfflineCopy = await caches.has(offlineCacheName(cacheKey));
+      boards.set(cacheKey, { cache: await caches.open(offlineCacheName(cacheKey)), hadOfflineCopy, restored: 0 });
+    }
+    return boards.get(cacheKey);
+  }
+
+  return {
+    /**
+     * @param {string} hash - Image hash
+     * @param {string} dataUrl - Image bytes
+     */
+    async restore(hash, dataUrl) {
+      // Backups are untrusted files: only inline images are fetched
+      if (!dataUrl.startsWith('data:image/')) return;
+      for (const { cacheKey, url } of (await getTargets()).get(hash) || []) {
+        const board = await openBoard(cacheKey);
+        await board.cache.put(url, await toCachedImage(await fetch(dataUrl)));
+        board.restored++;
+      }
+    },
+
+    /**
+     * Let the offline downloader fetch whatever the backup didn't have
+     * @returns {Promise<number>} Images restored
+     */
+    async finish() {
+      let restored = 0;
+      for (const [cacheKey, board] of boards) {
+        restored += board.restored;
+        if (board.restored > 0) {
+          await requestOffline(cacheKey, true);
+        } else if (!board.hadOfflineCopy) {
+          await caches.delete(offlineCacheName(cacheKey));
+        }
+      }
+      return restored;
+    }
+  };
+}
+
+/**
+ * Read a file line by line (without holding it as one string)
+ * @param {File} file
+ * @yields {string} Non-empty lines
+ */
+async function* readLines(file) {
+  const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 1);
+      if (line.trim()) yield line;
+    }
+  }
+  if (buffer.trim()) yield buffer;
+}
+
+/**
+ * Entries of a version 2 archive (the lines after its header)
+ * @param {File} file - Backup file
+ * @param {AsyncGenerator<string>} lines - Its lines, header already read
+ * @throws {Error} If a line isn't a JSON object (damaged or truncated file)
+ */
+async function* parseEntries(file, lines) {
+  for await (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      entry = null;
+    }
+    if (!entry || typeof entry !== 'object') throw new Error(`${file.name} is damaged`);
+    yield entry;
+  }
+}
+
+/**
+ * Read a whole version 2 archive once, before anything is deleted for it
+ * @param {File} file - Backup file
+ * @throws {Error} If it is damaged or truncated
+ */
+async function checkEntries(file) {
+  const lines = readLines(file);
+  await lines.next(); // Header
+  for await (const { board } of parseEntries(file, lines)) {
+    if (board && !Array.isArray(board.pins)) throw new Error(`${file.name} is damaged`);
+  }
+}
+
+/**
+ * Import a backup file
+ * - merge: boards keep their pins, the backup's new pins are added (a pin in both, same
+ *   image hash, is kept once with its missing metadata filled in); settings already set win
+ * - replace: boards in the backup are replaced by it (a full backup replaces every board)
+ *   and its settings overwrite the current ones
+ * Local folders are added back without their handles (picked again when first opened).
+ * @param {File} file - Backup file
+ * @param {Object} [options]
+ * @param {'merge'|'replace'} [options.mode]
+ * @param {function(string): void} [options.onProgress] - Short progress text
+ * @returns {Promise<{boards: number, pins: number, images: number, localFolders: number}>}
+ * @throws {Error} If the file isn't a Pin@Home backup
+ */
+export async function importBackup(file, { mode = 'merge', onProgress } = {}) {
+  const notBackup = new Error(`${file.name} is not a Pin@Home backup`);
+  const lines = readLines(file);
+
+  let header;
+  try {
+    header = JSON.parse((await lines.next()).value);
+  } catch (e) {
+    throw notBackup;
+  }
+  if (header?.format !== BACKUP_FORMAT) throw notBackup;
+  if (header.version === 1 && !Array.isArray(header.boards)) throw notBackup;
+
+  const schemaVersion = header.schemaVersion ?? UNVERSIONED_SCHEMA;
+  if (header.version > BACKUP_VERSION || schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${file.name} was made by a newer version of Pin@Home`);
+  }
+
+  // A damaged file must not leave the boards deleted and half restored
+  if (mode === 'replace' && header.scope === 'all') {
+    onProgress?.('Checking the backup');
+    if (header.version !== 1) await checkEntries(file);
+    await sendStorageOp('clearAllBoards');
+  }
+
+  // Version 1: boards and images inside the header object
+  async function* readEntries() {
+    if (header.version === 1) {
+      for (const board of header.boards) yield { board };
+      for (const [hash, dataUrl] of Object.entries(header.images || {})) yield { image: { hash, dataUrl } };
+      return;
+    }
+    yield* parseEntries(file, lines);
+  }
+
+  const summary = { boards: 0, pins: 0, images: 0, localFolders: 0 };
+  const imported = [];
+  let images = null;
+  for await (const { board, image } of readEntries()) {
+    if (board?.cacheKey?.startsWith(CONFIG.CACHE_KEY_PREFIX) && Array.isArray(board.pins)) {
+      onProgress?.(`Board ${summary.boards + 1}`);
+      summary.pins += await sendStorageOp('importBoardPins', { cacheKey: board.cacheKey, pins: board.pins, mode });
+      summary.boards++;
+      imported.push(board.cacheKey);
+    } else if (image?.hash && typeof image.dataUrl === 'string') {
+      images ??= createImageRestorer(imported);
+      await images.restore(image.hash, image.dataUrl);
+      onProgress?.(`${summary.boards} board(s), image ${++summary.images}`);
+    }
+  }
+  summary.images = images ? await images.finish() : 0;
+
+  await importStorage(header.storage || {}, mode);
+  // Values from an older schema (e.g. settings under their old keys) are migrated
+  if (schemaVersion < SCHEMA_VERSION) {
+    await sendStorageOp('migrateStorage', { fromVersion: schemaVersion });
+  }
+  if (header.localFolders?.length > 0) {
+    summary.localFolders = await importDirectoryEntries(header.localFolders);
+  }
+
+  console.log(`📥 Pin@Home: Imported ${summary.boards} board(s), ${summary.pins} pins, ${summary.images} images, ${summary.localFolders} local folder(s) (${mode})`);
+  return summary;
+}
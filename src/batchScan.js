@@ -0,0 +1,143 @@
+// Pin@Home - Batch Scan Queue
+// Scans a selection of a profile's boards one after another.
+// The queue lives in chrome.storage.local so it survives navigation between board pages.
+
+import { CONFIG } from './config.js';
+import { canonicalBoardPath } from './utils.js';
+import { sendStorageOp } from './cache.js';
+
+/**
+ * Collect the boards rendered on a profile page
+ * @param {string} username - Profile username
+ * @returns {Array<{path: string, name: string}>} Boards in page order
+ */
+export function collectProfileBoards(username) {
+  const boards = new Map();
+  const prefix = `/${username.toLowerCase()}/`;
+
+  for (const anchor of document.querySelectorAll('a[href]')) {
+    const path = anchor.getAttribute('href').split('?')[0];
+    if (!path.toLowerCase().startsWith(prefix)) continue;
+
+    // Boards are exactly /{username}/{board}/ - skip Pinterest's own "_" routes
+    const segments = path.split('/').filter(s => s.length > 0);
+    if (segments.length !== 2 || segments[1].startsWith('_')) continue;
+
+    const key = canonicalBoardPath(path);
+    if (boards.has(key)) continue;
+
+    const label = anchor.getAttribute('aria-label')
+      || anchor.querySelector('h2, h3, [title]')?.textContent
+      || '';
+    const name = label.trim() || decodeURIComponent(segments[1].replace(/-/g, ' '));
+
+    boards.set(key, { path: `/${segments[0]}/${segments[1]}/`, name });
+  }
+
+  return [...boards.values()];
+}
+
+/**
+ * Get the active batch queue
+ * @returns {Promise<{profile: string, boards: Object[], startedAt: number}|null>}
+ */
+export async function getActiveBatch() {
+  try {
+    const result = await chrome.storage.local.get([CONFIG.BATCH_QUEUE_KEY]);
+    return result[CONFIG.BATCH_QUEUE_KEY] || null;
+  } catch (e) {
+    console.warn('Pin@Home: Failed to read batch queue', e);
+    return null;
+  }
+}
+
+async function saveBatch(batch) {
+  await sendStorageOp('setValues', { items: { [CONFIG.BATCH_QUEUE_KEY]: batch } });
+}
+
+/**
+ * Find the queue entry for a board path
+ * @param {Object} batch - Batch queue
+ * @param {string} path - URL pathname
+ * @returns {Object|null} Entry { path, name, status, count }
+ */
+export function getBatchEntry(batch, path) {
+  const key = canonicalBoardPath(path);
+  return batch?.boards.find(entry => canonicalBoardPath(entry.path) === key) || null;
+}
+
+/**
+ * Update one board in the queue
+ * @param {string} path - Board path
+ * @param {Object} changes - Fields to merge ({ status, count })
+ * @returns {Promise<Object|null>} Updated batch
+ */
+export async function updateBatchEntry(path, changes) {
+  // Read-modify-write in the storage writer, so a concurrent cancel isn't undone
+  return sendStorageOp('updateBatchEntry', { path, changes });
+}
+
+/**
+ * Navigate to a board, using Pinterest's own link (SPA navigation) when it is on the page
+ * @param {string} path - Board path
+ */
+function navigateToBoard(path) {
+  const link = [...document.querySelectorAll('a[href]')]
+    .find(anchor => canonicalBoardPath(anchor.getAttribute('href').split('?')[0]) === canonicalBoardPath(path));
+
+  if (link) {
+    link.click();
+  } else {
+    window.location.assign(path);
+  }
+}
+
+/**
+ * Start a batch scan and go to the first board
+ * @param {string} profile - Profile username
+ * @param {Array<{path: string, name: string}>} boards - Selected boards
+ */
+export async function startBatch(profile, boards) {
+  if (boards.length === 0) return;
+
+  const batch = {
+    profile,
+    boards: boards.map(({ path, name }) => ({ path, name, status: 'pending', count: 0 })),
+    startedAt: Date.now()
+  };
+  await saveBatch(batch);
+  console.log(`🧘 Pin@Home: Batch scan of ${boards.length} boards started`);
+
+  navigateToBoard(batch.boards[0].path);
+}
+
+/**
+ * Move on to the next pending board
+ * @returns {Promise<Object|null>} The finished batch if nothing is left, null if navigating
+ */
+export async function advanceBatch() {
+  const batch = await getActiveBatch();
+  if (!batch) return null;
+
+  const next = batch.boards.find(entry => entry.status === 'pending');
+  if (next) {
+    navigateToBoard(next.path);
+    return null;
+  }
+
+  await cancelBatch();
+  const total = batch.boards.reduce((sum, entry) => sum + entry.count, 0);
+  console.log(`✅ Pin@Home: Batch scan done - ${batch.boards.length} boards, ${total} pins`);
+  return batch;
+}
+
+/**
+ * Stop the batch (boards already scanned stay cached)
+ */
+export async function cancelBatch() {
+  try {
+    await sendStorageOp('removeValues', { keys: [CONFIG.BATCH_QUEUE_KEY] });
+  } catch (e) {
+    console.warn('Pin@Home: Failed to clear batch queue', e);
+  }
+}
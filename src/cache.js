@@ -1,25 +1,69 @@
 // Pin@Home Cache Management
 import { CONFIG } from './config.js';
 import { state, updateState } from './state.js';
-import { isContextInvalidated, showReloadNotification } from './utils.js';
+import { isContextInvalidated, showReloadNotification, showSaveFailedNotification, canonicalBoardPath } from './utils.js';
 import { getAllDirectoryHandles } from './utils/localFolderManager.js';
+import { getPinUrls, getPinHash } from './pinRecord.js';
 
-// Debounce timer for cache saves
+// Debounce timer for cache saves, and the pins waiting for it per board (cacheKey -> records)
 let saveCacheTimer = null;
-let pendingPins = [];
+let pendingPins = new Map();
+
+// Saves run one after another so a flush can wait for the last write
+let saveChain = Promise.resolve();
+
+// Storage schema check of this page (see ensureStorageSchema)
+let schemaReady = null;
+
+/**
+ * Run a storage operation in the background worker (the single writer, see storageWriter.js)
+ * Every write goes through here so concurrent tabs can't overwrite each other, and so
+ * do reads of board pins (IndexedDB of the extension, out of reach of content scripts).
+ * Settings, board metadata and scan reports are read directly from chrome.storage.local.
+ * @param {string} op - Operation name
+ * @param {Object} [args] - Operation arguments
+ * @returns {Promise<*>} Operation result
+ * @throws {Error} If the operation failed (or the extension context is gone)
+ */
+export async function sendStorageOp(op, args = {}) {
+  const response = await chrome.runtime.sendMessage({ type: 'pin_at_home-storage', op, args });
+  if (!response?.ok) {
+    const error = new Error(response?.error || `Storage operation "${op}" failed`);
+    if (response?.errorName) error.name = response.errorName; // e.g. QuotaExceededError
+    throw error;
+  }
+  return response.result;
+}
+
+/**
+ * Make sure stored data is in the current schema before this page reads it
+ * (migrations.js, run by the storage writer; once per page). The worker migrates when
+ * it starts: pages only ask it to retry when the schema is still behind.
+ * @returns {Promise<Object|null>} The schema record, or null if the worker couldn't be reached
+ */
+export function ensureStorageSchema() {
+  if (!schemaReady) {
+    schemaReady = sendStorageOp('getSchema').then(schema => {
+      return schema.version < schema.latest ? sendStorageOp('migrateStorage') : schema;
+    }).catch(e => {
+      if (!isContextInvalidated(e)) console.warn('Pin@Home: Storage schema check failed', e);
+      return null;
+    });
+  }
+  return schemaReady;
+}
 
 /**
- * Load pins from local storage
+ * Load pins from the pin database
  * @returns {Promise<boolean>} True if cache was loaded successfully
  */
 export async function loadFromCache() {
   try {
-    const result = await chrome.storage.local.get([state.cacheKey]);
-    const cachedPins = result[state.cacheKey];
+    const cachedPins = await sendStorageOp('getBoardPins', { cacheKey: state.cacheKey });
     
-    if (cachedPins && Array.isArray(cachedPins) && cachedPins.length > 0) {
+    if (cachedPins.length > 0) {
       console.log(`📦 Cache loaded: ${cachedPins.length} images from storage`);
-      updateState({ pinsFound: cachedPins });
+      updateState({ pinsFound: getPinUrls(cachedPins) });
       return true;
     } else {
       console.log('📦 Cache: empty or not found');
@@ -35,13 +79,33 @@ export async function loadFromCache() {
   return false;
 }
 
+/**
+ * Get the cached pin records for a board
+ * @param {string} cacheKey - Board cache key
+ * @returns {Promise<Object[]>} Pin records (empty if not cached)
+ */
+export async function getCachedPins(cacheKey) {
+  try {
+    return await sendStorageOp('getBoardPins', { cacheKey });
+  } catch (e) {
+    if (isContextInvalidated(e)) {
+      showReloadNotification();
+    } else {
+      console.warn('Pin@Home: Failed to read board cache', e);
+    }
+    return [];
+  }
+}
+
 /**
  * Save current pool to local storage (debounced)
- * @param {string[]} newPins - Array of new pin URLs to add to cache
+ * The board is taken now: navigating before the save fires doesn't move the pins.
+ * @param {Object[]} newPins - Array of pin records to add to cache
+ * @param {string} [cacheKey] - Board to save to (the current board by default)
  */
-export function saveToCache(newPins) {
+export function saveToCache(newPins, cacheKey = state.cacheKey) {
   // Accumulate pins
-  pendingPins = [...pendingPins, ...newPins];
+  pendingPins.set(cacheKey, [...(pendingPins.get(cacheKey) || []), ...newPins]);
   
   // Clear existing timer
   if (saveCacheTimer) {
@@ -50,49 +114,126 @@ export function saveToCache(newPins) {
   
   // Debounce: wait 500ms after last call
   saveCacheTimer = setTimeout(() => {
-    doSaveToCache(pendingPins);
-    pendingPins = [];
     saveCacheTimer = null;
+    savePendingPins();
   }, 500);
 }
 
 /**
- * Actually perform the cache save
+ * Queue the debounced pins of every board
+ */
+function savePendingPins() {
+  for (const [cacheKey, pins] of pendingPins) {
+    queueSave(pins, cacheKey);
+  }
+  pendingPins = new Map();
+}
+
+/**
+ * Write any debounced pins now and wait until all saves are done
+ * @returns {Promise<void>}
+ */
+export async function flushCache() {
+  if (saveCacheTimer) {
+    clearTimeout(saveCacheTimer);
+    saveCacheTimer = null;
+    savePendingPins();
+  }
+  await saveChain;
+}
+
+/**
+ * Queue a save behind the ones already running
+ * @param {Object[]} pins - Pin records
+ * @param {string} cacheKey - Board to save to
+ * @param {number} [maxSize] - Pins kept on the board
+ * @returns {Promise<number|null>} See doSaveToCache
+ */
+function queueSave(pins, cacheKey, maxSize = CONFIG.MAX_CACHE_SIZE) {
+  const save = saveChain.then(() => doSaveToCache(pins, cacheKey, maxSize));
+  saveChain = save;
+  return save;
+}
+
+/**
+ * Add pins to any board right away (not debounced), e.g. a single pin saved to a collection
+ * @param {string} cacheKey - Board cache key
+ * @param {Object[]} records - Pin records
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Keep only the newest pins (rolling boards)
+ * @returns {Promise<number|null>} Number of pins that were new to the board, null if the save failed
+ */
+export function addPinsToBoard(cacheKey, records, { maxSize = CONFIG.MAX_CACHE_SIZE } = {}) {
+  return queueSave(records, cacheKey, maxSize);
+}
+
+/**
+ * Actually perform the cache save (merged by the storage writer, see storageWriter.js)
+ * @param {Object[]} newPins - Pin records
+ * @param {string} cacheKey - Board cache key
+ * @param {number} maxSize - Pins kept on the board (the oldest are trimmed)
+ * @returns {Promise<number|null>} Number of new pins, null if the save failed
  */
-async function doSaveToCache(newPins) {
+async function doSaveToCache(newPins, cacheKey, maxSize) {
   try {
-    // Get current cache
-    const result = await chrome.storage.local.get([state.cacheKey]);
-    let currentCache = result[state.cacheKey] || [];
-    
-    // Check if we actually have NEW pins (not already in cache)
-    const existingSet = new Set(currentCache);
-    const actuallyNew = newPins.filter(pin => !existingSet.has(pin));
+    const added = await sendStorageOp('savePins', { cacheKey, pins: newPins, maxSize });
     
-    // Skip storage write if no new pins found
-    if (actuallyNew.length === 0) {
-      return; // Nothing new, skip I/O
+    // Update state (only the new pins: the board isn't read back)
+    if (added.length > 0 && cacheKey === state.cacheKey) {
+      const known = new Set(state.pinsFound);
+      const urls = getPinUrls(added).filter(url => !known.has(url));
+      if (urls.length > 0) updateState({ pinsFound: [...state.pinsFound, ...urls] });
     }
-    
-    // Merge: New pins go to front
-    const combined = [...actuallyNew, ...currentCache];
-    
-    // Trim to max size
-    const trimmed = combined.slice(0, CONFIG.MAX_CACHE_SIZE);
-    
-    // Save back
-    await chrome.storage.local.set({ [state.cacheKey]: trimmed });
-    console.log(`💾 Cache updated: +${actuallyNew.length} new pins (${trimmed.length} total)`);
-    
-    // Update state
-    updateState({ pinsFound: trimmed });
+    return added.length;
     
   } catch (e) {
     if (isContextInvalidated(e)) {
       console.warn('Pin@Home: Extension reloaded. Cache not saved. Please refresh this page.');
     } else {
       console.warn('Pin@Home: Cache save failed', e);
+      showSaveFailedNotification(e.name === 'QuotaExceededError');
+    }
+    return null;
+  }
+}
+
+/**
+ * Find cached pins a completed scan never saw (already archived pins are skipped)
+ * @param {string} cacheKey - Board cache key
+ * @param {Set<string>} seenHashes - Normalized hashes of every pin the scan found
+ * @returns {Promise<{missing: Object[], total: number}>} Missing pins and cache size
+ */
+export async function findMissingPins(cacheKey, seenHashes) {
+  const cachedPins = await getCachedPins(cacheKey);
+  const missing = cachedPins.filter(pin => !pin.archivedAt && !seenHashes.has(getPinHash(pin.url)));
+  return { missing, total: cachedPins.length };
+}
+
+/**
+ * Remove pins from a board's cache, or mark them as archived
+ * @param {string} cacheKey - Board cache key
+ * @param {string[]} urls - URLs of the pins to update
+ * @param {'purge'|'archive'} action - What to do with them
+ * @returns {Promise<number>} Number of pins affected
+ */
+export async function reconcilePins(cacheKey, urls, action) {
+  try {
+    await flushCache();
+    
+    const affected = await sendStorageOp('reconcilePins', { cacheKey, urls, action });
+    if (affected > 0 && cacheKey === state.cacheKey) {
+      updateState({ pinsFound: getPinUrls(await getCachedPins(cacheKey)) });
+    }
+    
+    console.log(`🧹 Reconcile (${action}): ${affected} pins in ${cacheKey}`);
+    return affected;
+  } catch (e) {
+    if (isContextInvalidated(e)) {
+      showReloadNotification();
+    } else {
+      console.error('Pin@Home: Reconcile failed', e);
     }
+    return 0;
   }
 }
 
@@ -111,7 +252,7 @@ export async function clearCurrentBoardCache(onClearCallback) {
       const { removeDirectoryHandle } = await import('./utils/localFolderManager.js');
       await removeDirectoryHandle(state.cacheKey);
     } else {
-      await chrome.storage.local.remove([state.cacheKey]);
+      await sendStorageOp('clearBoardPins', { cacheKey: state.cacheKey });
     }
     console.log(`🧹 Cleared cache for: ${state.cacheKey}`);
     
@@ -149,7 +290,8 @@ export async function deleteBoardCache(cacheKey) {
       const { removeDirectoryHandle } = await import('./utils/localFolderManager.js');
       await removeDirectoryHandle(cacheKey);
     } else {
-      await chrome.storage.local.remove([cacheKey]);
+      // Pins, metadata and scan report go in one transaction
+      await sendStorageOp('removeBoard', { cacheKey });
     }
     console.log(`🧹 Deleted cache: ${cacheKey}`);
     return true;
@@ -169,20 +311,15 @@ export async function clearAllCache(onClearCallback) {
   if (!confirmed) return;
   
   try {
-    // Get all storage keys
-    const allData = await chrome.storage.local.get(null);
-    const pinAtHomeKeys = Object.keys(allData).filter(key => key.startsWith(CONFIG.CACHE_KEY_PREFIX));
+    // Remove all Pin@Home caches (and their metadata and scan reports)
+    const cleared = await sendStorageOp('clearAllBoards');
     
-    if (pinAtHomeKeys.length === 0) {
+    if (cleared === 0) {
       alert('No caches found to clear.');
       return;
     }
     
-    // Remove all Pin@Home caches
-    await chrome.storage.local.remove(pinAtHomeKeys);
-    console.log(`🧹 Cleared ${pinAtHomeKeys.length} cache(s):`, pinAtHomeKeys);
-    
-    alert(`Successfully cleared ${pinAtHomeKeys.length} board cache(s).`);
+    alert(`Successfully cleared ${cleared} board cache(s).`);
     
     // Execute callback if provided
     if (onClearCallback) {
@@ -199,28 +336,165 @@ export async function clearAllCache(onClearCallback) {
   }
 }
 
+/**
+ * Save (or clear) metadata for a board, e.g. the parent link of a section
+ * @param {string} cacheKey - Board cache key
+ * @param {Object|null} meta - Metadata to merge in, or null to remove the entry
+ */
+export async function saveBoardMeta(cacheKey, meta) {
+  try {
+    await sendStorageOp('updateBoardMeta', { cacheKey, meta });
+  } catch (e) {
+    console.warn('Pin@Home: Failed to save board metadata', e);
+  }
+}
+
+/**
+ * Save (or clear) the report of a board's last scan
+ * @param {string} cacheKey - Board cache key
+ * @param {Object|null} report - Scan report from the scanner, or null to remove it
+ */
+export async function saveScanReport(cacheKey, report) {
+  try {
+    await sendStorageOp('updateScanReport', { cacheKey, report });
+  } catch (e) {
+    console.warn('Pin@Home: Failed to save scan report', e);
+  }
+}
+
+/**
+ * Get the report of a board's last scan
+ * @param {string} cacheKey - Board cache key
+ * @returns {Promise<Object|null>}
+ */
+export async function getScanReport(cacheKey) {
+  try {
+    const result = await chrome.storage.local.get([CONFIG.SCAN_REPORTS_KEY]);
+    return result[CONFIG.SCAN_REPORTS_KEY]?.[cacheKey] || null;
+  } catch (e) {
+    console.warn('Pin@Home: Failed to read scan report', e);
+    return null;
+  }
+}
+
+/**
+ * Get the user's Pin@Home collections (boards filled pin by pin from any Pinterest page)
+ * @returns {Promise<Array<{cacheKey: string, name: string}>>} Sorted by name
+ */
+export async function getCollections() {
+  try {
+    const result = await chrome.storage.local.get([CONFIG.BOARD_META_KEY]);
+    const allMeta = result[CONFIG.BOARD_META_KEY] || {};
+    return Object.entries(allMeta)
+      .filter(([, meta]) => meta.type === 'collection')
+      .map(([cacheKey, meta]) => ({ cacheKey, name: meta.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (e) {
+    console.warn('Pin@Home: Failed to get collections', e);
+    return [];
+  }
+}
+
+/**
+ * Create a collection (or return the existing one with the same name)
+ * Collections are stored like boards, under prefix + /_collections/{slug}
+ * @param {string} name - Display name
+ * @returns {Promise<{cacheKey: string, name: string}>}
+ */
+export async function createCollection(name) {
+  const slug = name.trim().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'collection';
+  const cacheKey = CONFIG.CACHE_KEY_PREFIX + canonicalBoardPath(`/${CONFIG.COLLECTIONS_PATH}/${slug}`);
+  
+  const existing = (await getCollections()).find(collection => collection.cacheKey === cacheKey);
+  if (existing) return existing;
+  
+  await saveBoardMeta(cacheKey, { type: 'collection', name: name.trim() });
+  console.log(`📦 Pin@Home: Created collection "${name.trim()}"`);
+  return { cacheKey, name: name.trim() };
+}
+
+/**
+ * Convert a cache key path segment to a display name
+ */
+function toDisplayName(segment) {
+  const name = segment.replace(/-/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch (e) {
+    return name; // Canonical keys are already decoded (may contain a literal %)
+  }
+}
+
+/**
+ * Board entry of the menu, from its cache key and metadata
+ * Sections carry `parentKey` and `parentName` so the menu can nest them.
+ * `url` is the Pinterest page a board is (re)scanned from (null for collections).
+ * @param {string} key - Board cache key
+ * @param {number} pinCount - Pins cached here
+ * @param {Object} [meta] - Board metadata (CONFIG.BOARD_META_KEY entry)
+ * @returns {{cacheKey: string, boardName: string, imageCount: number, url: string|null, type?: string, parentKey?: string, parentName?: string}}
+ */
+function toBoardEntry(key, pinCount, meta) {
+  // Extract board path from cache key and convert to display name
+  const path = key.replace(CONFIG.CACHE_KEY_PREFIX, '');
+  const segments = path.split('/').filter(s => s.length > 0);
+  const board = {
+    cacheKey: key,
+    boardName: segments.length >= 2 ? toDisplayName(segments[1]) : path,
+    imageCount: pinCount,
+    url: `${CONFIG.PINTEREST_ORIGIN}${path}/`
+  };
+  
+  // Passive capture: "Seen on Pinterest"
+  if (canonicalBoardPath(path) === CONFIG.SEEN_BOARD_PATH) {
+    board.type = 'seen';
+    board.boardName = 'Seen on Pinterest';
+    board.url = null;
+    return board;
+  }
+  
+  // Saved searches: /_search/{query} (url: the search page it was saved from)
+  if (meta?.type === 'search' || segments[0] === CONFIG.SEARCH_PATH) {
+    board.type = 'search';
+    board.boardName = meta?.name || segments.slice(1).join(' ');
+    board.url = meta?.url || `${CONFIG.PINTEREST_ORIGIN}/search/pins/?q=${encodeURIComponent(board.boardName)}`;
+    return board;
+  }
+  
+  // Collections: /_collections/{slug} (named by the user)
+  if (meta?.type === 'collection' || segments[0] === CONFIG.COLLECTIONS_PATH) {
+    board.type = 'collection';
+    board.boardName = meta?.name || toDisplayName(segments[segments.length - 1]);
+    board.url = null;
+    return board;
+  }
+  
+  // Sections: /{username}/{board}/{section}
+  if (segments.length === 3 || meta?.type === 'section') {
+    board.type = 'section';
+    board.boardName = toDisplayName(segments[segments.length - 1]);
+    board.parentKey = meta?.parentKey || `${CONFIG.CACHE_KEY_PREFIX}/${segments[0]}/${segments[1]}`;
+    board.parentName = toDisplayName(segments[1]);
+  }
+  
+  return board;
+}
+
 /**
  * Get all cached boards from storage
- * @returns {Promise<Array<{cacheKey: string, boardName: string, imageCount: number}>>}
+ * @returns {Promise<Object[]>} Board entries (see toBoardEntry), most pins first
  */
 export async function getAllCachedBoards() {
   try {
-    const allData = await chrome.storage.local.get(null);
-    return Object.keys(allData)
-      .filter(key => key.startsWith(CONFIG.CACHE_KEY_PREFIX))
-      .map(key => {
-        // Extract board path from cache key and convert to display name
-        const path = key.replace(CONFIG.CACHE_KEY_PREFIX, '');
-        const segments = path.split('/').filter(s => s.length > 0);
-        const boardName = segments.length >= 2 
-          ? decodeURIComponent(segments[1].replace(/-/g, ' '))
-          : path;
-        return {
-          cacheKey: key,
-          boardName: boardName,
-          imageCount: Array.isArray(allData[key]) ? allData[key].length : 0
-        };
-      })
+    // Board summaries only - pins stay in the database
+    const [summaries, result] = await Promise.all([
+      sendStorageOp('listBoards'),
+      chrome.storage.local.get([CONFIG.BOARD_META_KEY])
+    ]);
+    const allMeta = result[CONFIG.BOARD_META_KEY] || {};
+    
+    return summaries
+      .map(({ cacheKey, pinCount }) => toBoardEntry(cacheKey, pinCount, allMeta[cacheKey]))
       .filter(board => board.imageCount > 0)
       .sort((a, b) => b.imageCount - a.imageCount); // Most images first
   } catch (e) {
@@ -230,12 +504,35 @@ export async function getAllCachedBoards() {
 }
 
 /**
- * Get unified list of boards (Pinterest + Local)
+ * Get the boards synced from the user's other devices (chrome.storage.sync, see sync.js)
+ * They have no pins here: `notScanned` until scanned on this device.
+ * @returns {Promise<Object[]>} Board entries (see toBoardEntry) with `notScanned: true`, by name
+ */
+async function getSyncedBoards() {
+  try {
+    const items = await chrome.storage.sync.get(null);
+    return Object.entries(items)
+      .filter(([key]) => key.startsWith(CONFIG.SYNC_BOARD_PREFIX))
+      .map(([key, meta]) => ({
+        ...toBoardEntry(CONFIG.CACHE_KEY_PREFIX + key.slice(CONFIG.SYNC_BOARD_PREFIX.length), 0, meta),
+        notScanned: true
+      }))
+      .filter(board => board.url) // Only boards that can be scanned here
+      .sort((a, b) => a.boardName.localeCompare(b.boardName));
+  } catch (e) {
+    console.warn('Pin@Home: Failed to get synced boards', e);
+    return [];
+  }
+}
+
+/**
+ * Get unified list of boards (Local + Pinterest + synced from other devices, not yet scanned here)
  */
 export async function getUnifiedBoards() {
-  const [pinterestBoards, localHandles] = await Promise.all([
+  const [pinterestBoards, localHandles, syncedBoards] = await Promise.all([
     getAllCachedBoards(),
-    getAllDirectoryHandles()
+    getAllDirectoryHandles(),
+    getSyncedBoards()
   ]);
   
   const localBoards = localHandles.map(item => ({
@@ -245,7 +542,29 @@ export async function getUnifiedBoards() {
     type: 'local'
   }));
   
-  return [...localBoards, ...pinterestBoards];
+  const cachedKeys = new Set(pinterestBoards.map(board => board.cacheKey));
+  const notScannedBoards = syncedBoards.filter(board => !cachedKeys.has(board.cacheKey));
+  
+  return [...localBoards, ...pinterestBoards, ...notScannedBoards];
+}
+
+/**
+ * Get the new tab settings (CONFIG.SETTINGS_KEY), once the schema is current
+ * @returns {Promise<Object>} { lastVisitedBoard, scrollSpeed, pinCount, postersOnly } (fields may be missing)
+ */
+async function getSettings() {
+  await ensureStorageSchema();
+  const result = await chrome.storage.local.get([CONFIG.SETTINGS_KEY]);
+  return result[CONFIG.SETTINGS_KEY] || {};
+}
+
+/**
+ * Update new tab settings (stamped with `updatedAt`: the newer copy wins in sync.js)
+ * @param {Object} changes - Fields to merge
+ */
+async function saveSettings(changes) {
+  await ensureStorageSchema();
+  await sendStorageOp('mergeValue', { key: CONFIG.SETTINGS_KEY, changes: { ...changes, updatedAt: Date.now() } });
 }
 
 /**
@@ -255,9 +574,7 @@ export async function getUnifiedBoards() {
  */
 export async function saveLastVisitedBoard(cacheKey, boardName) {
   try {
-    await chrome.storage.local.set({ 
-      lastVisitedBoard: { cacheKey, boardName } 
-    });
+    await saveSettings({ lastVisitedBoard: { cacheKey, boardName } });
   } catch (e) {
     console.warn('Pin@Home: Failed to save last visited board', e);
   }
@@ -269,8 +586,8 @@ export async function saveLastVisitedBoard(cacheKey, boardName) {
  */
 export async function getLastVisitedBoard() {
   try {
-    const result = await chrome.storage.local.get(['lastVisitedBoard']);
-    return result.lastVisitedBoard || null;
+    const settings = await getSettings();
+    return settings.lastVisitedBoard || null;
   } catch (e) {
     console.warn('Pin@Home: Failed to get last visited board', e);
     return null;
@@ -283,8 +600,8 @@ export async function getLastVisitedBoard() {
  */
 export async function getScrollSpeed() {
   try {
-    const result = await chrome.storage.local.get(['pin_at_home_scroll_speed']);
-    return result.pin_at_home_scroll_speed ?? 100;
+    const settings = await getSettings();
+    return settings.scrollSpeed ?? 100;
   } catch (e) {
     console.warn('Pin@Home: Failed to get scroll speed', e);
     return 100;
@@ -297,20 +614,73 @@ export async function getScrollSpeed() {
  */
 export async function saveScrollSpeed(speed) {
   try {
-    await chrome.storage.local.set({ pin_at_home_scroll_speed: speed });
+    await saveSettings({ scrollSpeed: speed });
   } catch (e) {
     console.warn('Pin@Home: Failed to save scroll speed', e);
   }
 }
 
+/**
+ * Get the "posters only" setting (video pins shown as still images)
+ * @returns {Promise<boolean>} Default: false (videos play)
+ */
+export async function getPostersOnly() {
+  try {
+    const settings = await getSettings();
+    return settings.postersOnly ?? false;
+  } catch (e) {
+    console.warn('Pin@Home: Failed to get posters only setting', e);
+    return false;
+  }
+}
+
+/**
+ * Save the "posters only" setting
+ * @param {boolean} postersOnly - Show video pins as still images
+ */
+export async function savePostersOnly(postersOnly) {
+  try {
+    await saveSettings({ postersOnly });
+  } catch (e) {
+    console.warn('Pin@Home: Failed to save posters only setting', e);
+  }
+}
+
+/**
+ * Get the passive capture settings ("Seen on Pinterest")
+ * @returns {Promise<{enabled: boolean, maxPins: number, disabledDomains: string[]}>} Default: off, 500 pins
+ */
+export async function getPassiveCapture() {
+  const defaults = { enabled: false, maxPins: 500, disabledDomains: [] };
+  try {
+    const result = await chrome.storage.local.get([CONFIG.PASSIVE_CAPTURE_KEY]);
+    return { ...defaults, ...result[CONFIG.PASSIVE_CAPTURE_KEY] };
+  } catch (e) {
+    console.warn('Pin@Home: Failed to get passive capture settings', e);
+    return defaults;
+  }
+}
+
+/**
+ * Update the passive capture settings (stamped with `updatedAt` for sync.js)
+ * @param {Object} changes - Fields to merge ({ enabled, maxPins, disabledDomains })
+ */
+export async function savePassiveCapture(changes) {
+  try {
+    await sendStorageOp('mergeValue', { key: CONFIG.PASSIVE_CAPTURE_KEY, changes: { ...changes, updatedAt: Date.now() } });
+  } catch (e) {
+    console.warn('Pin@Home: Failed to save passive capture settings', e);
+  }
+}
+
 /**
  * Get pin count limit from storage
  * @returns {Promise<string>} Pin count ('all', '50', '25', '15') - default: 'all'
  */
 export async function getPinCount() {
   try {
-    const result = await chrome.storage.local.get(['pin_at_home_pin_count']);
-    return result.pin_at_home_pin_count ?? '25';
+    const settings = await getSettings();
+    return settings.pinCount ?? '25';
   } catch (e) {
     console.warn('Pin@Home: Failed to get pin count', e);
     return '25';
@@ -323,7 +693,7 @@ export async function getPinCount() {
  */
 export async function savePinCount(count) {
   try {
-    await chrome.storage.local.set({ pin_at_home_pin_count: count });
+    await saveSettings({ pinCount: count });
   } catch (e) {
     console.warn('Pin@Home: Failed to save pin count', e);
   }
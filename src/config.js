@@ -7,7 +7,44 @@ export const CONFIG = {
   MAX_SCAN_ATTEMPTS: 100,   // Many attempts for thorough scanning
   MIN_POOL_SIZE: 40,
   CACHE_KEY_PREFIX: 'pin_at_home_cache_',
+  PINTEREST_ORIGIN: 'https://www.pinterest.com', // Boards are rescanned from here (Pinterest redirects to the user's locale)
+  BOARD_META_KEY: 'pin_at_home_board_meta', // Per-board metadata (e.g. section -> parent board link)
+  BATCH_QUEUE_KEY: 'pin_at_home_batch_queue', // Profile batch scan queue (survives navigation)
+  SCAN_REPORTS_KEY: 'pin_at_home_scan_reports', // Last scan report per board
+  SCHEMA_KEY: 'pin_at_home_schema', // Storage schema version and migration history (migrations.js)
+  SETTINGS_KEY: 'pin_at_home_settings', // New tab settings: { lastVisitedBoard, scrollSpeed, pinCount, postersOnly }
+  CANONICAL_KEYS_FLAG: 'pin_at_home_canonical_keys', // Legacy (before SCHEMA_KEY): duplicate cache keys were merged
+  PIN_DATABASE_FLAG: 'pin_at_home_pin_database', // Legacy (before SCHEMA_KEY): boards were moved to IndexedDB
+  COLLECTIONS_PATH: '_collections', // Collections are cached under prefix + /_collections/{slug}
+  SEARCH_PATH: '_search', // Saved searches are cached under prefix + /_search/{query}
+  SEARCH_SCAN_LIMIT: 500, // Search and ideas feeds never end - stop scanning after this many pins
+  SEEN_BOARD_PATH: '/_seen', // Passive capture ("Seen on Pinterest") is cached under prefix + /_seen
+  PASSIVE_CAPTURE_KEY: 'pin_at_home_passive_capture', // { enabled, maxPins, disabledDomains }
+  PASSIVE_CAPTURE_SIZES: [200, 500, 1000], // Size caps offered for "Seen on Pinterest" (oldest pins roll off)
   MAX_CACHE_SIZE: 9999, // Support large boards
+  OFFLINE_BOARDS_KEY: 'pin_at_home_offline_boards', // Boards saved for offline use: { [cacheKey]: { status, saved, total, failed, lastUsed } }
+  OFFLINE_QUOTA_SHARE: 0.8, // Offline downloads evict other boards past this share of the storage quota
+  OFFLINE_FALLBACK_TIMEOUT: 3000, // Column images of offline boards not loaded after this (ms) switch to their saved copy
+  STORAGE_WARNING_SHARE: 0.9, // Warn in the new tab past this share of the storage quota (storage dashboard)
+  SYNC_BOARD_PREFIX: 'pin_at_home_sync_board_', // chrome.storage.sync: one item per board (prefix + board path -> board metadata), see sync.js
+  SYNC_SEEDED_FLAG: 'pin_at_home_sync_seeded', // Set once this device's boards were added to chrome.storage.sync
+  SYNC_MAX_BOARDS: 500, // Boards shared through chrome.storage.sync (it holds at most 512 items)
+  
+  // Image resolution policy: pinimg size per view, falling back down IMAGE_SIZES on error
+  IMAGE_SIZES: ['originals', '736x', '474x', '236x'], // Largest first
+  IMAGE_RESOLUTION: {
+    column: '474x',      // Scrolling columns and browse grid
+    viewer: 'originals', // Fullscreen viewer
+    refsheet: 'originals',
+    animated: 'originals', // GIF pins in the columns (static 'column' size when "posters only" is on)
+    thumbnail: '236x'    // Side panel and scanner indicator previews
+  },
+  THUMBNAIL_WIDTH: 474,        // Column thumbnails made by thumbnailWorker.js (never upscaled)
+  THUMBNAIL_QUALITY: 0.8,      // WebP quality of the thumbnails
+  THUMBNAIL_CACHE_MAX: 10000,  // Thumbnails kept in IndexedDB (the oldest are deleted)
+  DELTA_KNOWN_RUN: 30,  // Quick update stops after this many already-cached pins in a row
+  RECONCILE_MIN_COVERAGE: 0.95,    // Only look for removed pins if the scan saw 95% of the board
+  RECONCILE_MAX_MISSING_RATIO: 0.5, // Never offer to remove more than half a board at once
   
   // Grid configuration
   GRID_ROWS: 2,
@@ -48,5 +85,8 @@ export const CONFIG = {
   NON_BOARD_PATTERNS: [
     'search', 'pin', 'ideas', 'today', 'explore', 
     'settings', 'resource', '_', 'business'
-  ]
+  ],
+  
+  // Board sub-pages that are not sections (/{username}/{board}/{segment}/)
+  NON_SECTION_PATTERNS: ['more_ideas', 'organize', 'organise']
 };
@@ -3,46 +3,107 @@
 // Supports SPA navigation (detects URL changes)
 
 const NON_BOARD_PATTERNS = ['search', 'pin', 'ideas', 'today', 'explore', 'settings', 'resource', '_', 'business'];
+const NON_SECTION_PATTERNS = ['more_ideas', 'organize', 'organise'];
 
+// Boards: /{username}/{board}/ - Sections: /{username}/{board}/{section}/
 function isBoardPage(path) {
   const segments = path.split('/').filter(s => s.length > 0);
-  return segments.length === 2 && !NON_BOARD_PATTERNS.includes(segments[0].toLowerCase());
+  if (segments.length !== 2 && segments.length !== 3) return false;
+  if (NON_BOARD_PATTERNS.includes(segments[0].toLowerCase())) return false;
+  if (segments[1].startsWith('_')) return false;
+  
+  const section = segments[2];
+  return !section || !(section.startsWith('_') || NON_SECTION_PATTERNS.includes(section.toLowerCase()));
+}
+
+// Profiles: /{username}/ or /{username}/_saved/ (batch scan of their boards)
+function isProfilePage(path) {
+  const segments = path.split('/').filter(s => s.length > 0);
+  if (segments.length === 0 || segments.length > 2) return false;
+  if (segments.length === 2 && segments[1] !== '_saved') return false;
+  return !NON_BOARD_PATTERNS.includes(segments[0].toLowerCase());
+}
+
+// Search: /search/pins/?q={query} - Ideas: /ideas/{topic}/{id}/ (scanned as saved-search boards)
+function isSearchPage(path) {
+  const segments = path.split('/').filter(s => s.length > 0);
+  if (segments[0] === 'search') return new URLSearchParams(window.location.search).has('q');
+  return segments[0] === 'ideas' && segments.length >= 2;
+}
+
+function isScannablePage(path) {
+  return isBoardPage(path) || isProfilePage(path) || isSearchPage(path);
 }
 
+// Scanner module (imported once, then re-mounted for each board/profile page)
+let scannerModule = null;
+
 async function loadScanner() {
-  // Prevent multiple loads
-  if (document.getElementById('pin_at_home-indicator')) return;
-  
   try {
-    const scannerOnlySrc = chrome.runtime.getURL('src/scannerOnly.js');
-    await import(scannerOnlySrc);
+    if (!scannerModule) {
+      const scannerOnlySrc = chrome.runtime.getURL('src/scannerOnly.js');
+      scannerModule = await import(scannerOnlySrc);
+    }
+    await scannerModule.mountScanner();
   } catch (e) {
     console.error('Pin@Home: Failed to load scanner', e);
   }
 }
 
+// Features that run on every Pinterest page, loaded once:
+// pin saver ("+ Pin@Home" hover button) and passive capture ("Seen on Pinterest")
+const PAGE_FEATURES = ['src/pinSaver.js', 'src/passiveCapture.js'];
+let pageFeaturesRequested = false;
+
+function loadPageFeatures() {
+  if (pageFeaturesRequested) return;
+  pageFeaturesRequested = true;
+  PAGE_FEATURES.forEach(async (src) => {
+    try {
+      await import(chrome.runtime.getURL(src));
+    } catch (e) {
+      console.error(`Pin@Home: Failed to load ${src}`, e);
+    }
+  });
+}
+
 function checkAndInject() {
   const path = window.location.pathname;
   
-  if (isBoardPage(path)) {
+  if (isScannablePage(path)) {
     // Wait a moment for page to stabilize after navigation
     setTimeout(() => {
-      if (isBoardPage(window.location.pathname) && document.body) {
+      if (isScannablePage(window.location.pathname) && document.body) {
         loadScanner();
       }
     }, 500);
-  } else {
-    // Remove indicator if we navigated away from a board
-    const existing = document.getElementById('pin_at_home-indicator');
-    if (existing) existing.remove();
+  } else if (scannerModule) {
+    // Remove indicator (and stop scanning) if we navigated away from a board
+    scannerModule.unmountScanner();
   }
 }
 
+// Bring stored data up to the current schema (migrations.js) before the scanner reads it
+async function ensureStorageSchema() {
+  try {
+    const cacheModule = await import(chrome.runtime.getURL('src/cache.js'));
+    await cacheModule.ensureStorageSchema();
+  } catch (e) {
+    console.error('Pin@Home: Failed to check storage schema', e);
+  }
+}
+
+async function init() {
+  await ensureStorageSchema();
+  loadPageFeatures();
+  checkAndInject();
+}
+
 // Initial check
 if (document.body) {
-  checkAndInject();
+  init();
 } else {
-  document.addEventListener('DOMContentLoaded', checkAndInject);
+  document.addEventListener('DOMContentLoaded', init);
 }
 
 // Watch for SPA navigation (URL changes without page reload)
@@ -0,0 +1,244 @@
+// Pin@Home - Storage Schema and Migrations
+// Brings stored data up to SCHEMA_VERSION, in order, with rollback (see .docs/architecture.md)
+
+import { CONFIG } from './config.js';
+import { canonicalBoardPath } from './utils.js';
+import { normalizePinRecords, appendMissingPins } from './pinRecord.js';
+import { getBoardPins, importBoard, deleteBoard } from './pinDatabase.js';
+
+// Flags of the migrations that ran before the schema was versioned
+const LEGACY_FLAGS = [CONFIG.CANONICAL_KEYS_FLAG, CONFIG.PIN_DATABASE_FLAG];
+
+// Migration history kept in the schema record
+const HISTORY_LENGTH = 20;
+
+// ============ MIGRATIONS ============
+
+/**
+ * Canonical version of a board cache key (local folder keys are left alone)
+ * @param {string} cacheKey - Cache key
+ * @returns {string}
+ */
+function toCanonicalKey(cacheKey) {
+  if (!cacheKey?.startsWith(CONFIG.CACHE_KEY_PREFIX)) return cacheKey;
+  return CONFIG.CACHE_KEY_PREFIX + canonicalBoardPath(cacheKey.slice(CONFIG.CACHE_KEY_PREFIX.length));
+}
+
+/**
+ * Merge two caches of the same board: the larger one keeps its order, pins only
+ * in the other are appended and known pins get their missing metadata filled in
+ * @param {Object[]} a - Pin records
+ * @param {Object[]} b - Pin records
+ * @returns {Object[]}
+ */
+function mergeBoardCaches(a, b) {
+  const [primary, secondary] = a.length >= b.length ? [a, b] : [b, a];
+  return appendMissingPins(primary, secondary);
+}
+
+/**
+ * 1. Merge boards cached under several spellings of the same path
+ */
+async function migrateCacheKeys() {
+  const allData = await chrome.storage.local.get(null);
+
+  const boards = {};
+  const staleKeys = [];
+  for (const key of Object.keys(allData).filter(k => k.startsWith(CONFIG.CACHE_KEY_PREFIX))) {
+    const canonical = toCanonicalKey(key);
+    if (canonical !== key) staleKeys.push(key);
+    const pins = normalizePinRecords(allData[key]);
+    boards[canonical] = boards[canonical] ? mergeBoardCaches(boards[canonical], pins) : pins;
+  }
+
+  // Board metadata and scan reports follow their board (the latest report wins)
+  const allMeta = {};
+  for (const [key, meta] of Object.entries(allData[CONFIG.BOARD_META_KEY] || {})) {
+    const canonical = toCanonicalKey(key);
+    allMeta[canonical] = { ...allMeta[canonical], ...meta };
+    if (meta.parentKey) allMeta[canonical].parentKey = toCanonicalKey(meta.parentKey);
+  }
+  const allReports = {};
+  for (const [key, report] of Object.entries(allData[CONFIG.SCAN_REPORTS_KEY] || {})) {
+    const canonical = toCanonicalKey(key);
+    if (!allReports[canonical] || allReports[canonical].finishedAt < report.finishedAt) {
+      allReports[canonical] = report;
+    }
+  }
+
+  const updates = {
+    [CONFIG.BOARD_META_KEY]: allMeta,
+    [CONFIG.SCAN_REPORTS_KEY]: allReports
+  };
+  // Only rewrite boards that changed
+  for (const key of new Set(staleKeys.map(toCanonicalKey))) {
+    updates[key] = boards[key];
+  }
+  if (allData.lastVisitedBoard) {
+    updates.lastVisitedBoard = { ...allData.lastVisitedBoard, cacheKey: toCanonicalKey(allData.lastVisitedBoard.cacheKey) };
+  }
+
+  await chrome.storage.local.set(updates);
+  if (staleKeys.length > 0) {
+    await chrome.storage.local.remove(staleKeys);
+  }
+  console.log(`📦 Pin@Home: Canonical cache keys - ${staleKeys.length} key(s) renamed or merged`);
+}
+
+/**
+ * 2. Move boards from chrome.storage.local arrays (one key per board) to the pin
+ * database. Keys are removed only after every board is in.
+ * Pins already in the database (an earlier, failed run) are kept: the arrays are merged in.
+ * @param {Object} journal - Boards this run created (for rollback)
+ */
+async function migrateToPinDatabase(journal) {
+  const allData = await chrome.storage.local.get(null);
+  const boardKeys = Object.keys(allData).filter(key => key.startsWith(CONFIG.CACHE_KEY_PREFIX));
+  journal.createdBoards = [];
+
+  let pinCount = 0;
+  for (const key of boardKeys) {
+    const existing = await getBoardPins(key);
+    if (existing.length === 0) journal.createdBoards.push(key);
+    pinCount += await importBoard(key, appendMissingPins(existing, normalizePinRecords(allData[key])));
+  }
+
+  if (boardKeys.length > 0) {
+    await chrome.storage.local.remove(boardKeys);
+  }
+  console.log(`📦 Pin@Home: Pin database - ${boardKeys.length} board(s), ${pinCount} pins moved from chrome.storage`);
+}
+
+/**
+ * Undo a failed pin database move: the boards are still in chrome.storage.local
+ * (restored from the snapshot), so drop the boards this run created (boards that
+ * were already in the database keep their pins)
+ * @param {Object} journal
+ */
+async function rollbackPinDatabase(journal) {
+  for (const key of journal.createdBoards || []) {
+    await deleteBoard(key);
+  }
+}
+
+// Settings once stored under keys of their own -> field of CONFIG.SETTINGS_KEY
+export const LEGACY_SETTINGS_KEYS = {
+  lastVisitedBoard: 'lastVisitedBoard',
+  pin_at_home_scroll_speed: 'scrollSpeed',
+  pin_at_home_pin_count: 'pinCount',
+  pin_at_home_posters_only: 'postersOnly'
+};
+
+/**
+ * 3. Gather the new tab settings into one object (CONFIG.SETTINGS_KEY)
+ * Values found under the old keys win (they come from an older install or backup).
+ */
+async function migrateSettingsKeys() {
+  const legacyKeys = Object.keys(LEGACY_SETTINGS_KEYS);
+  const result = await chrome.storage.local.get([...legacyKeys, CONFIG.SETTINGS_KEY]);
+  const found = legacyKeys.filter(key => key in result);
+  if (found.length === 0) return;
+
+  const settings = { ...result[CONFIG.SETTINGS_KEY] };
+  for (const key of found) {
+    settings[LEGACY_SETTINGS_KEYS[key]] = result[key];
+  }
+
+  await chrome.storage.local.set({ [CONFIG.SETTINGS_KEY]: settings });
+  await chrome.storage.local.remove(found);
+  console.log(`📦 Pin@Home: Settings - ${found.length} key(s) moved to ${CONFIG.SETTINGS_KEY}`);
+}
+
+// Ordered by version; a new format change adds its migration at the end
+const MIGRATIONS = [
+  { version: 1, name: 'Canonical cache keys', run: migrateCacheKeys },
+  { version: 2, name: 'Pin database', run: migrateToPinDatabase, rollback: rollbackPinDatabase },
+  { version: 3, name: 'Settings object', run: migrateSettingsKeys }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ============ RUNNER ============
+
+/**
+ * Read the schema record
+ * Installs from before the schema was versioned are placed by their migration flags.
+ * @returns {Promise<{version: number, history: Object[], lastError?: Object}>}
+ */
+async function readSchema() {
+  const result = await chrome.storage.local.get([CONFIG.SCHEMA_KEY, ...LEGACY_FLAGS]);
+  if (result[CONFIG.SCHEMA_KEY]) return result[CONFIG.SCHEMA_KEY];
+
+  let version = 0;
+  if (result[CONFIG.CANONICAL_KEYS_FLAG]) version = 1;
+  if (result[CONFIG.PIN_DATABASE_FLAG]) version = 2;
+  return { version, history: [] };
+}
+
+/**
+ * Put chrome.storage.local back the way it was
+ * @param {Object} snapshot - Everything in chrome.storage.local
+ */
+async function restoreSnapshot(snapshot) {
+  const current = await chrome.storage.local.get(null);
+  const added = Object.keys(current).filter(key => !(key in snapshot));
+  if (added.length > 0) await chrome.storage.local.remove(added);
+  await chrome.storage.local.set(snapshot);
+}
+
+/**
+ * Get the schema record, with the version this code expects
+ * @returns {Promise<{version: number, latest: number, history: Object[], lastError?: Object}>}
+ */
+export async function getSchema() {
+  return { ...(await readSchema()), latest: SCHEMA_VERSION };
+}
+
+/**
+ * Run the pending migrations, in order (stops at the first one that fails)
+ * @param {Object} [options]
+ * @param {number} [options.fromVersion] - Re-run the migrations newer than this version
+ *   (data just imported from an older backup); defaults to the stored version
+ * @returns {Promise<Object>} The schema record (see getSchema)
+ */
+export async function runMigrations({ fromVersion } = {}) {
+  const schema = await readSchema();
+  const start = Math.min(fromVersion ?? schema.version, schema.version);
+  const pending = MIGRATIONS.filter(migration => migration.version > start);
+
+  for (const migration of pending) {
+    const snapshot = await chrome.storage.local.get(null);
+    const journal = {};
+    try {
+      await migration.run(journal);
+    } catch (e) {
+      console.warn(`Pin@Home: Migration ${migration.version} (${migration.name}) failed - rolled back`, e);
+      try {
+        await restoreSnapshot(snapshot);
+        await migration.rollback?.(journal);
+      } catch (rollbackError) {
+        console.warn(`Pin@Home: Rollback of migration ${migration.version} failed`, rollbackError);
+      }
+      schema.lastError = { version: migration.version, name: migration.name, message: e.message, at: Date.now() };
+      await chrome.storage.local.set({ [CONFIG.SCHEMA_KEY]: schema });
+      return { ...schema, latest: SCHEMA_VERSION };
+    }
+
+    schema.version = Math.max(schema.version, migration.version);
+    schema.history = [...schema.history, { version: migration.version, name: migration.name, at: Date.now() }]
+      .slice(-HISTORY_LENGTH);
+    delete schema.lastError;
+    await chrome.storage.local.set({ [CONFIG.SCHEMA_KEY]: schema });
+  }
+
+  // First versioned start: the schema record replaces the old flags
+  const stored = await chrome.storage.local.get([CONFIG.SCHEMA_KEY, ...LEGACY_FLAGS]);
+  if (!stored[CONFIG.SCHEMA_KEY]) {
+    await chrome.storage.local.set({ [CONFIG.SCHEMA_KEY]: schema });
+  }
+  const legacyFlags = LEGACY_FLAGS.filter(key => key in stored);
+  if (legacyFlags.length > 0) await chrome.storage.local.remove(legacyFlags);
+
+  if (pending.length > 0) console.log(`📦 Pin@Home: Storage schema v${schema.version}`);
+  return { ...schema, latest: SCHEMA_VERSION };
+}
@@ -1,13 +1,28 @@
 // Pin@Home - New Tab Entry Point
+import { CONFIG } from './config.js';
 import { state, updateState } from './state.js';
-import { getUnifiedBoards, getLastVisitedBoard, saveLastVisitedBoard, getPinCount } from './cache.js';
-import { renderPins, setPinCountLimit } from './ui/grid.js';
-import { createBoardMenu, setBoardMenuCallbacks, updateBoardTitle, rebuildBoardMenu, capitalizeWords } from './ui/header/boardMenu.js';
+import { ensureStorageSchema, getUnifiedBoards, getCachedPins, getLastVisitedBoard, saveLastVisitedBoard, getPinCount, getPostersOnly } from './cache.js';
+import { getPinUrls } from './pinRecord.js';
+import { renderPins, appendPins, setPinCountLimit } from './ui/grid.js';
+import { createBoardMenu, setBoardMenuCallbacks, updateBoardTitle, rebuildBoardMenu, setRescanStatus, setOfflineStatus } from './ui/header/boardMenu.js';
 import { createControlsPanel, applySavedSettings } from './ui/header/controlsPanel.js';
+import { requestRescan } from './rescan.js';
+import {
+  getOfflineBoards, requestOffline, resumeOfflineDownloads, markOfflineBoardUsed,
+  onOfflineProgress, useOfflineImages
+} from './offline.js';
+import { releaseThumbnails } from './utils/thumbnails.js';
+import { exportBackup, importBackup } from './backup.js';
+import { checkStorage, onStorageWarning } from './storageUsage.js';
+import { openStorageDashboard, showStorageWarning } from './ui/storageDashboard.js';
 
 console.log('🧘 Pin@Home: New Tab Mode');
 updateState({ isNewTabMode: true });
 
+// Board menu refresh after storage changes: waits for writes to settle (a scan saves every few seconds)
+const BOARD_REFRESH_DELAY = 300;
+let boardRefreshTimer = null;
+
 // ============ INIT ============
 
 async function init() {
@@ -15,7 +30,10 @@ async function init() {
   const grid = document.getElementById('pin_at_home-grid');
   const loading = document.getElementById('pin_at_home-loading');
   
-  updateState({ overlay, grid, loading });
+  // Bring stored data up to the current schema before reading any of it
+  await ensureStorageSchema();
+  
+  updateState({ overlay, grid, loading, postersOnly: await getPostersOnly() });
   
   const boards = await getUnifiedBoards();
   
@@ -24,15 +42,31 @@ async function init() {
     return;
   }
   
+  // Boards synced from another device have no pins here until scanned
   const lastVisited = await getLastVisitedBoard();
-  const selectedBoard = boards.find(b => b.cacheKey === lastVisited?.cacheKey) || boards[0];
+  const scannedBoards = boards.filter(b => !b.notScanned);
+  const selectedBoard = scannedBoards.find(b => b.cacheKey === lastVisited?.cacheKey) || scannedBoards[0] || boards[0];
   
   // Set up board menu callbacks
   setBoardMenuCallbacks({
     onSwitch: switchBoard,
-    onDeleted: handleBoardDeleted
+    onDeleted: handleBoardDeleted,
+    onRescan: rescanBoard,
+    onOffline: toggleOffline,
+    onExport: exportBoards,
+    onImport: importBoards,
+    onStorage: openStorage
   });
   
+  // Offline boards: state for the menu, and finish downloads a closed browser cut short
+  const offlineBoards = await getOfflineBoards();
+  Object.entries(offlineBoards).forEach(([cacheKey, entry]) => setOfflineStatus(cacheKey, entry));
+  resumeOfflineDownloads();
+  
+  // Warn before saves start failing
+  const storage = await checkStorage();
+  if (storage.low) showStorageWarning(storage, openStorage);
+  
   const header = createHeader(boards, selectedBoard);
   overlay.insertBefore(header, grid);
   
@@ -62,39 +96,66 @@ async function loadBoard(board) {
     state.revokeBlobUrls();
     updateState({ revokeBlobUrls: null });
   }
+  releaseThumbnails();
+  useOfflineImages(null);
   
   updateState({ cacheKey: board.cacheKey, boardName: board.boardName });
   
   try {
     let pins = [];
+    let pinVideos = new Map();
     
     if (board.type === 'local' || board.cacheKey.startsWith('local_')) {
-      const { getDirectoryHandle, verifyPermission, scanDirectoryForImages, createBlobUrls } = await import('./utils/localFolderManager.js');
+      const { getDirectoryHandle, relinkDirectory, verifyPermission, scanDirectoryForImages, createBlobUrls } = await import('./utils/localFolderManager.js');
       
       const entry = await getDirectoryHandle(board.cacheKey);
       if (!entry) throw new Error('Local board not found');
       
-      const hasPermission = await verifyPermission(entry.handle);
+      // Restored from a backup: folder handles can't be exported, so the folder is picked again
+      let handle = entry.handle;
+      if (!handle) {
+        if (loading) loading.textContent = `Choose the folder of ${board.boardName}...`;
+        try {
+          handle = await relinkDirectory(board.cacheKey);
+        } catch (e) {
+          throw new Error(`Select ${board.boardName} in the board menu to re-link its folder`);
+        }
+      }
+      
+      const hasPermission = await verifyPermission(handle);
       if (!hasPermission) throw new Error('Permission denied for local folder');
       
       if (loading) loading.textContent = `Scanning ${board.boardName}...`;
-      const fileHandles = await scanDirectoryForImages(entry.handle);
-      const { urls, revokeAll } = await createBlobUrls(fileHandles);
+      const fileHandles = await scanDirectoryForImages(handle);
+      const { urls, revokeAll } = await createBlobUrls(fileHandles, { thumbnailGifs: state.postersOnly });
       
       pins = urls;
       updateState({ revokeBlobUrls: revokeAll });
       
     } else {
-      const result = await chrome.storage.local.get([board.cacheKey]);
-      pins = result[board.cacheKey] || [];
+      const records = await getCachedPins(board.cacheKey);
+      pins = getPinUrls(records);
+      pinVideos = new Map(records.filter(pin => pin.videoUrl).map(pin => [pin.url, pin.videoUrl]));
+      
+      // Saved offline: images that fail to load from pinimg come from the saved copy
+      const offlineBoards = await getOfflineBoards();
+      if (offlineBoards[board.cacheKey] && pins.length > 0) {
+        markOfflineBoardUsed(board.cacheKey);
+        useOfflineImages(board.cacheKey);
+      }
     }
     
     if (pins.length === 0) {
-      if (loading) loading.textContent = `No images in ${board.boardName}`;
+      updateState({ pinsFound: [] }); // Pins scanned meanwhile are loaded as they arrive (appendNewPins)
+      if (loading) {
+        loading.textContent = board.notScanned
+          ? `${board.boardName} is not yet scanned on this device: click it in the board menu (or 🔄) to scan it`
+          : `No images in ${board.boardName}`;
+      }
       return;
     }
     
-    updateState({ pinsFound: pins });
+    updateState({ pinsFound: pins, pinVideos });
     if (loading) loading.style.display = 'none';
     
     const savedCount = await getPinCount();
@@ -120,8 +181,7 @@ async function switchBoard(board, allBoards) {
   const menuItems = document.getElementById('pin_at_home-menu-items');
   if (menuItems) {
     menuItems.querySelectorAll('.pin_at_home-menu-btn.board-item').forEach(btn => {
-      const displayName = isLocal ? board.boardName : capitalizeWords(board.boardName);
-      btn.classList.toggle('active', btn.textContent.includes(displayName));
+      btn.classList.toggle('active', btn.dataset.cacheKey === board.cacheKey);
     });
   }
   
@@ -158,6 +218,194 @@ async function handleBoardDeleted(deletedBoard, updatedBoards, currentBoard) {
   }
 }
 
+// ============ RESCAN ============
+
+/**
+ * Refresh a board from Pinterest in a background tab, showing progress on its menu row
+ * @param {Object} board - Board with a Pinterest `url`
+ */
+async function rescanBoard(board) {
+  setRescanStatus(board.cacheKey, 'Opening…');
+  
+  await requestRescan(board, async (progress) => {
+    if (!progress.isDone && !progress.error) {
+      setRescanStatus(board.cacheKey, progress.isDelta ? `+${progress.newCount}` : `${progress.count}`);
+      return;
+    }
+    
+    setRescanStatus(board.cacheKey, null);
+    if (progress.error) {
+      console.warn(`Pin@Home: Rescan of "${board.boardName}" failed: ${progress.error}`);
+      return;
+    }
+    // Counts and new pins already arrived as board changes (see LIVE UPDATES)
+    console.log(`🔄 Pin@Home: Rescanned "${board.boardName}" (+${progress.newCount} pins)`);
+  });
+}
+
+// ============ OFFLINE ============
+
+/**
+ * Save a board's images for offline use, or delete them (progress shows on its menu row)
+ * @param {Object} board - Pinterest board
+ * @param {boolean} enabled
+ */
+async function toggleOffline(board, enabled) {
+  if (enabled) setOfflineStatus(board.cacheKey, { status: 'downloading', saved: 0, total: 0 });
+  const ok = await requestOffline(board.cacheKey, enabled);
+  if (!ok && enabled) setOfflineStatus(board.cacheKey, null);
+}
+
+onOfflineProgress(setOfflineStatus);
+
+// ============ BACKUP ============
+
+/**
+ * Let the browser download a file
+ * @param {Blob} blob - File contents
+ * @param {string} filename
+ */
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export a board, or every board with settings, to a backup file
+ * @param {Object|null} board - Board to export (null = all)
+ * @param {function(string|null): void} setStatus - Progress on the clicked button (null = done)
+ */
+async function exportBoards(board, setStatus) {
+  const includeImages = confirm('Include the images in the backup?\n\nThe file gets much larger, but the pins still show once they are gone from Pinterest.');
+  setStatus('…');
+  try {
+    const blob = await exportBackup({ cacheKey: board?.cacheKey || null, includeImages, onProgress: setStatus });
+    const name = board ? board.boardName.replace(/[^\p{L}\p{N}]+/gu, '-') : 'all-boards';
+    downloadFile(blob, `pin-at-home-${name}-${new Date().toISOString().slice(0, 10)}.jsonl`);
+  } catch (e) {
+    console.warn('Pin@Home: Export failed', e);
+    alert(`Export failed: ${e.message}`);
+  } finally {
+    setStatus(null);
+  }
+}
+
+/**
+ * Import a backup file, asking whether to merge it or replace the boards it contains
+ * (the board menu and columns follow through live updates)
+ * @param {File} file - Backup file
+ * @param {function(string|null): void} setStatus - Progress on the import button (null = done)
+ */
+async function importBoards(file, setStatus) {
+  const merge = confirm(`Merge "${file.name}" into your boards?\n\nOK: merge - pins already here are kept, pins only in the backup are added\nCancel: replace instead`);
+  if (!merge && !confirm(`Replace your boards with "${file.name}"?\n\nBoards in the backup lose the pins it doesn't have (a full backup replaces every board), and its settings overwrite yours.`)) {
+    return;
+  }
+  
+  setStatus('…');
+  try {
+    const summary = await importBackup(file, { mode: merge ? 'merge' : 'replace', onProgress: setStatus });
+    let message = `Imported ${summary.boards} board(s), ${summary.pins} pins`;
+    if (summary.images > 0) message += `, ${summary.images} images (saved for offline use)`;
+    if (summary.localFolders > 0) {
+      message += `\n\n${summary.localFolders} local folder(s) restored: select them in the board menu to choose their folder again.`;
+    }
+    scheduleBoardRefresh(); // Local folders aren't announced by the storage writer
+    alert(message);
+  } catch (e) {
+    console.warn('Pin@Home: Import failed', e);
+    alert(`Import failed: ${e.message}`);
+  } finally {
+    setStatus(null);
+  }
+}
+
+// ============ STORAGE ============
+
+async function openStorage() {
+  openStorageDashboard(await getUnifiedBoards());
+}
+
+// Almost full, or a write failed for lack of space (sent by the storage writer)
+onStorageWarning(status => showStorageWarning(status, openStorage));
+
+// ============ LIVE UPDATES ============
+
+/**
+ * Add pins saved to the board on screen (by a scan in another tab) to the running columns
+ * @param {Object[]} records - Pin records new to the board
+ */
+function appendNewPins(records) {
+  const known = new Set(state.pinsFound);
+  const added = records.filter(pin => !known.has(pin.url));
+  if (added.length === 0) return;
+  
+  // First pins of an empty board: nothing is rendered yet
+  if (state.pinsFound.length === 0) {
+    loadBoard({ cacheKey: state.cacheKey, boardName: state.boardName });
+    return;
+  }
+  
+  added.filter(pin => pin.videoUrl).forEach(pin => state.pinVideos.set(pin.url, pin.videoUrl));
+  const urls = getPinUrls(added);
+  updateState({ pinsFound: [...state.pinsFound, ...urls] });
+  appendPins(urls);
+  console.log(`🧘 Pin@Home: +${urls.length} new pins in ${state.boardName}`);
+}
+
+/**
+ * Re-read the board list after boards were added, updated or deleted elsewhere
+ */
+async function refreshBoards() {
+  await ready;
+  
+  // The first board was scanned while this page showed "No cached boards"
+  if (!document.getElementById('pin_at_home-header')) {
+    ready = init();
+    return;
+  }
+  
+  const boards = await getUnifiedBoards();
+  const currentBoard = boards.find(b => b.cacheKey === state.cacheKey);
+  
+  if (!currentBoard && state.cacheKey.startsWith(CONFIG.CACHE_KEY_PREFIX)) {
+    // The board on screen was deleted (or cleared) from another tab
+    await handleBoardDeleted({ cacheKey: state.cacheKey }, boards, { cacheKey: state.cacheKey });
+  } else {
+    rebuildBoardMenu(boards, currentBoard);
+  }
+}
+
+function scheduleBoardRefresh() {
+  clearTimeout(boardRefreshTimer);
+  boardRefreshTimer = setTimeout(refreshBoards, BOARD_REFRESH_DELAY);
+}
+
+// Pins saved, removed or deleted (sent by the storage writer, see storageWriter.js)
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type !== 'pin_at_home-board-changed') return false;
+  
+  if (message.added && message.cacheKey === state.cacheKey) {
+    appendNewPins(message.added);
+  }
+  scheduleBoardRefresh();
+  return false;
+});
+
+// Board names and section links, and boards added or removed on other devices (sync.js)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CONFIG.BOARD_META_KEY]) {
+    scheduleBoardRefresh();
+  }
+  if (areaName === 'sync' && Object.keys(changes).some(key => key.startsWith(CONFIG.SYNC_BOARD_PREFIX))) {
+    scheduleBoardRefresh();
+  }
+});
+
 // ============ START ============
 
-init();
\ No newline at end of file
+let ready = init();
@@ -0,0 +1,123 @@
+// Pin@Home - Offline Boards Client
+// New tab side of "Make available offline" (see offlineDownloader.js)
+
+import { CONFIG } from './config.js';
+import { setImageFallback } from './utils/imageResolution.js';
+
+// Board on screen whose saved images stand in for failed ones: { cacheKey, urls }
+// (urls: stored image URL -> Promise<object URL or null>)
+let offlineBoard = null;
+
+/**
+ * Name of the Cache API cache holding a board's offline images
+ * @param {string} cacheKey - Board cache key
+ * @returns {string}
+ */
+export function offlineCacheName(cacheKey) {
+  return `pin_at_home-offline|${cacheKey}`;
+}
+
+/**
+ * The image as kept in a board's cache, with its size as content-length so the storage
+ * dashboard adds sizes up without reading images
+ * @param {Response} response - Image response
+ * @returns {Promise<Response>}
+ */
+export async function toCachedImage(response) {
+  const blob = await response.blob();
+  return new Response(blob, {
+    headers: { 'content-type': blob.type, 'content-length': String(blob.size) }
+  });
+}
+
+/**
+ * Get the boards saved for offline use
+ * @returns {Promise<Object>} { [cacheKey]: { status, saved, total, failed, lastUsed } }
+ */
+export async function getOfflineBoards() {
+  try {
+    const result = await chrome.storage.local.get([CONFIG.OFFLINE_BOARDS_KEY]);
+    return result[CONFIG.OFFLINE_BOARDS_KEY] || {};
+  } catch (e) {
+    console.warn('Pin@Home: Failed to read offline boards', e);
+    return {};
+  }
+}
+
+/**
+ * Start saving a board's images, or delete them
+ * @param {string} cacheKey - Board cache key
+ * @param {boolean} enabled - Make the board available offline
+ * @returns {Promise<boolean>} False if the worker couldn't be reached
+ */
+export async function requestOffline(cacheKey, enabled) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'pin_at_home-offline', cacheKey, enabled });
+    return !!response?.ok;
+  } catch (e) {
+    console.warn('Pin@Home: Offline request failed', e);
+    return false;
+  }
+}
+
+/**
+ * Resume downloads that were paused (no connection) or cut short (worker stopped)
+ */
+export function resumeOfflineDownloads() {
+  chrome.runtime.sendMessage({ type: 'pin_at_home-offline-resume' }).catch(() => {});
+}
+
+/**
+ * Record that a board was viewed (boards viewed least recently are evicted first)
+ * @param {string} cacheKey - Board cache key
+ */
+export function markOfflineBoardUsed(cacheKey) {
+  chrome.runtime.sendMessage({ type: 'pin_at_home-offline-used', cacheKey }).catch(() => {});
+}
+
+/**
+ * Listen to download progress
+ * @param {function(string, Object|null): void} handler - Called with the board cache key and
+ *   its progress ({ status, saved, total, failed }), or null once the offline copy is deleted
+ */
+export function onOfflineProgress(handler) {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'pin_at_home-offline-progress') handler(message.cacheKey, message.entry);
+    return false;
+  });
+}
+
+/**
+ * Get the object URL of a saved image of the board on screen (read once per image)
+ * @param {string} url - Stored image URL
+ * @returns {Promise<string|null>} Null if the image isn't saved
+ */
+function getOfflineImageUrl(url) {
+  const board = offlineBoard;
+  let promise = board.urls.get(url);
+  if (!promise) {
+    if (board.urls.size === 0) console.log(`✈️ Pin@Home: Pinterest images failing - serving ${board.cacheKey} offline`);
+    promise = caches.open(offlineCacheName(board.cacheKey))
+      .then(cache => cache.match(url))
+      .then(async response => response ? URL.createObjectURL(await response.blob()) : null)
+      .catch(() => null);
+    board.urls.set(url, promise);
+  }
+  return promise;
+}
+
+/**
+ * Serve a board's saved images in place of the ones that fail to load, image by
+ * image as they fail (when pinimg is down, or the connection is)
+ * @param {string|null} cacheKey - Board on screen, or null if it isn't saved offline
+ */
+export function useOfflineImages(cacheKey) {
+  if (offlineBoard?.cacheKey === cacheKey) return;
+
+  // Previous board's images are going away
+  for (const promise of offlineBoard?.urls.values() || []) {
+    promise.then(objectUrl => objectUrl && URL.revokeObjectURL(objectUrl));
+  }
+  offlineBoard = cacheKey ? { cacheKey, urls: new Map() } : null;
+  setImageFallback(cacheKey ? getOfflineImageUrl : null);
+}
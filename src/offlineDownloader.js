@@ -0,0 +1,227 @@
+// Pin@Home - Offline Downloader
+// Saves the images of offline boards into the Cache API (background worker)
+
+import { CONFIG } from './config.js';
+import { runStorageOp, onBoardChange } from './storageWriter.js';
+import { getImageCandidates } from './utils/imageResolution.js';
+import { offlineCacheName, toCachedImage } from './offline.js';
+
+// Progress is sent to the new tab for every image, saved to storage every few
+const SAVE_PROGRESS_EVERY = 10;
+
+// Boards with a download running, and the ones that got new pins meanwhile
+const downloading = new Set();
+const rerun = new Set();
+
+// Boards whose offline copy was deleted while their download was running
+const stopped = new Set();
+
+async function getOfflineBoards() {
+  const result = await chrome.storage.local.get([CONFIG.OFFLINE_BOARDS_KEY]);
+  return result[CONFIG.OFFLINE_BOARDS_KEY] || {};
+}
+
+/**
+ * Tell open new tabs about a board's progress
+ * @param {string} cacheKey - Board cache key
+ * @param {Object|null} entry - Progress fields, or null once the offline copy is deleted
+ */
+function sendProgress(cacheKey, entry) {
+  chrome.runtime.sendMessage({ type: 'pin_at_home-offline-progress', cacheKey, entry }).catch(() => {});
+}
+
+/**
+ * Save a board's progress (merged into its entry) and send it
+ * @param {string} cacheKey - Board cache key
+ * @param {Object|null} entry - Progress fields, or null to delete the entry
+ */
+async function saveProgress(cacheKey, entry) {
+  if (entry && stopped.has(cacheKey)) return; // Deleted meanwhile - don't bring the entry back
+  await runStorageOp('updateOfflineBoard', { cacheKey, entry });
+  sendProgress(cacheKey, entry);
+}
+
+/**
+ * Fetch an image at column size, stepping down through the fallback sizes
+ * @param {string} url - Stored image URL
+ * @returns {Promise<Response|null>} Null if every size failed
+ * @throws {TypeError} If the network is down
+ */
+async function fetchImage(url) {
+  for (const candidate of getImageCandidates(url, 'column')) {
+    const response = await fetch(candidate);
+    if (response.ok) return response;
+  }
+  return null;
+}
+
+/**
+ * Make sure there is room for one more image, evicting other offline boards if needed
+ * @param {string} cacheKey - Board being downloaded (never evicted)
+ * @returns {Promise<boolean>} False if storage is full and nothing is left to evict
+ */
+async function makeRoom(cacheKey) {
+  const { usage, quota } = await navigator.storage.estimate();
+  if (usage < quota * CONFIG.OFFLINE_QUOTA_SHARE) return true;
+
+  const boards = await getOfflineBoards();
+  const [victim] = Object.entries(boards)
+    .filter(([key]) => key !== cacheKey)
+    .sort(([, a], [, b]) => (a.lastUsed || 0) - (b.lastUsed || 0));
+  if (!victim) return false;
+
+  console.log(`✈️ Pin@Home: Storage almost full - removed the offline copy of ${victim[0]}`);
+  await deleteOfflineCopy(victim[0]);
+  return makeRoom(cacheKey);
+}
+
+/**
+ * Fetch the images a board's cache is missing
+ * @param {string} cacheKey - Board cache key
+ */
+async function downloadMissing(cacheKey) {
+  const boards = await getOfflineBoards();
+  if (!boards[cacheKey] || stopped.has(cacheKey)) return;
+
+  const pins = await runStorageOp('getBoardPins', { cacheKey });
+  const pinUrls = new Set(pins.map(pin => pin.url));
+  const cache = await caches.open(offlineCacheName(cacheKey));
+
+  // Drop images of pins removed from the board
+  const saved = new Set();
+  for (const request of await cache.keys()) {
+    if (pinUrls.has(request.url)) {
+      saved.add(request.url);
+    } else {
+      await cache.delete(request);
+    }
+  }
+
+  const missing = pins.filter(pin => !saved.has(pin.url));
+  const progress = { status: 'downloading', saved: saved.size, total: pins.length, failed: 0 };
+  await saveProgress(cacheKey, progress);
+
+  for (const [i, pin] of missing.entries()) {
+    if (stopped.has(cacheKey)) return;
+
+    if (!(await makeRoom(cacheKey))) {
+      await saveProgress(cacheKey, { ...progress, status: 'full' });
+      console.warn(`Pin@Home: Not enough storage to save ${cacheKey} offline`);
+      return;
+    }
+
+    let response;
+    try {
+      response = await fetchImage(pin.url);
+    } catch (e) {
+      // Connection lost - resumed later (resumeOfflineDownloads)
+      await saveProgress(cacheKey, { ...progress, status: 'paused' });
+      return;
+    }
+
+    if (stopped.has(cacheKey)) return;
+    if (response) {
+      await cache.put(pin.url, await toCachedImage(response));
+      progress.saved++;
+    } else {
+      progress.failed++;
+    }
+
+    if ((i + 1) % SAVE_PROGRESS_EVERY === 0) {
+      await saveProgress(cacheKey, progress);
+    } else {
+      sendProgress(cacheKey, progress);
+    }
+  }
+
+  await saveProgress(cacheKey, { ...progress, status: 'done' });
+  console.log(`✈️ Pin@Home: ${cacheKey} available offline (${progress.saved}/${progress.total} images)`);
+}
+
+/**
+ * Download a board's missing images (once at a time per board)
+ * @param {string} cacheKey - Board cache key
+ */
+async function downloadBoard(cacheKey) {
+  if (downloading.has(cacheKey)) {
+    rerun.add(cacheKey);
+    return;
+  }
+
+  downloading.add(cacheKey);
+  try {
+    do {
+      rerun.delete(cacheKey);
+      await downloadMissing(cacheKey);
+    } while (rerun.has(cacheKey) && !stopped.has(cacheKey));
+  } catch (e) {
+    console.warn(`Pin@Home: Offline download of ${cacheKey} failed`, e);
+    await saveProgress(cacheKey, { status: 'paused' }).catch(() => {});
+  } finally {
+    downloading.delete(cacheKey);
+    stopped.delete(cacheKey);
+  }
+}
+
+/**
+ * Delete a board's offline copy
+ * @param {string} cacheKey - Board cache key
+ */
+async function deleteOfflineCopy(cacheKey) {
+  if (downloading.has(cacheKey)) stopped.add(cacheKey);
+  await caches.delete(offlineCacheName(cacheKey));
+  await saveProgress(cacheKey, null);
+}
+
+/**
+ * Make a board available offline, or delete its offline copy
+ * @param {string} cacheKey - Board cache key
+ * @param {boolean} enabled
+ */
+export async function setBoardOffline(cacheKey, enabled) {
+  if (!enabled) {
+    await deleteOfflineCopy(cacheKey);
+    console.log(`✈️ Pin@Home: Removed the offline copy of ${cacheKey}`);
+    return;
+  }
+
+  stopped.delete(cacheKey);
+  await saveProgress(cacheKey, { status: 'downloading', saved: 0, total: 0, failed: 0, lastUsed: Date.now() });
+  downloadBoard(cacheKey);
+}
+
+/**
+ * Record that a board was viewed (eviction goes least recently viewed first)
+ * @param {string} cacheKey - Board cache key
+ */
+export async function markBoardUsed(cacheKey) {
+  const boards = await getOfflineBoards();
+  if (boards[cacheKey]) {
+    await runStorageOp('updateOfflineBoard', { cacheKey, entry: { lastUsed: Date.now() } });
+  }
+}
+
+/**
+ * Resume downloads that didn't finish (worker stopped, connection lost)
+ */
+export async function resumeOfflineDownloads() {
+  const boards = await getOfflineBoards();
+  for (const [cacheKey, entry] of Object.entries(boards)) {
+    if (entry.status === 'downloading' || entry.status === 'paused') downloadBoard(cacheKey);
+  }
+}
+
+// Keep offline copies in step with their boards: new pins are downloaded, removed
+// pins dropped (by the next download pass), deleted or cleared boards lose their copy
+onBoardChange(({ cacheKey, removed, cleared }) => {
+  getOfflineBoards().then(boards => {
+    const keys = cacheKey ? [cacheKey] : Object.keys(boards);
+    for (const key of keys.filter(k => boards[k])) {
+      if (removed || cleared) {
+        deleteOfflineCopy(key);
+      } else {
+        downloadBoard(key);
+      }
+    }
+  }).catch(e => console.warn('Pin@Home: Failed to update offline boards', e));
+});
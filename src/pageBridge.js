@@ -0,0 +1,59 @@
+// Pin@Home - Page Bridge
+// MAIN-world plain script (no imports, document_start): forwards Pinterest's API responses
+
+(() => {
+  const RESOURCE_PATTERN = /\/resource\/\w+Resource\/get\//;
+  const MAX_BUFFERED = 30;
+
+  // Responses seen before the scanner started listening (replayed on request)
+  const buffer = [];
+
+  function forward(url, text) {
+    if (!text) return;
+    const message = { source: 'pin_at_home-bridge', type: 'resource', url, text };
+    buffer.push(message);
+    if (buffer.length > MAX_BUFFERED) buffer.shift();
+    window.postMessage(message, window.location.origin);
+  }
+
+  // fetch()
+  const originalFetch = window.fetch;
+  window.fetch = async function (...args) {
+    const response = await originalFetch.apply(this, args);
+    try {
+      const url = typeof args[0] === 'string' ? args[0] : args[0]?.url;
+      if (url && RESOURCE_PATTERN.test(url)) {
+        response.clone().text().then(text => forward(url, text)).catch(() => {});
+      }
+    } catch (e) {
+      // Never break the page's own requests
+    }
+    return response;
+  };
+
+  // XMLHttpRequest
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    if (RESOURCE_PATTERN.test(String(url))) {
+      this.addEventListener('load', () => {
+        try {
+          const text = this.responseType === 'json'
+            ? JSON.stringify(this.response)
+            : (this.responseType === '' || this.responseType === 'text') ? this.responseText : '';
+          forward(String(url), text);
+        } catch (e) {
+          // Ignore unreadable responses
+        }
+      });
+    }
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  // Content script asks for everything it missed
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== 'pin_at_home-content') return;
+    if (event.data.type === 'replay') {
+      buffer.forEach(message => window.postMessage(message, window.location.origin));
+    }
+  });
+})();
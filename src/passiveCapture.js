@@ -0,0 +1,89 @@
+// Pin@Home - Passive Capture
+// Opt-in "Seen on Pinterest" board of the pins the user scrolls past
+
+import { CONFIG } from './config.js';
+import { addPinsToBoard, getPassiveCapture, savePassiveCapture } from './cache.js';
+import { startPassiveScanning } from './scanner.js';
+import { isContextInvalidated } from './utils.js';
+import { createCaptureIndicator, updateCaptureIndicator } from './ui/captureIndicator.js';
+
+const SEEN_CACHE_KEY = CONFIG.CACHE_KEY_PREFIX + CONFIG.SEEN_BOARD_PATH;
+
+// Pins are written in small batches rather than one storage write per pin
+const FLUSH_DELAY = 2000;
+
+const domain = window.location.hostname.replace(/^www\./, '');
+
+let settings = null;
+let stopScanning = null;
+let pendingPins = [];
+let flushTimer = null;
+let capturedCount = 0;
+
+const indicator = createCaptureIndicator(toggleDomain);
+
+/**
+ * Start or stop capturing to match the current settings
+ */
+async function applySettings() {
+  settings = await getPassiveCapture();
+  const active = settings.enabled && !settings.disabledDomains.includes(domain);
+
+  if (active && !stopScanning) {
+    stopScanning = startPassiveScanning({ onPins: queuePins });
+    console.log(`👁️ Pin@Home: Passive capture on (${domain})`);
+  } else if (!active && stopScanning) {
+    stopScanning();
+    stopScanning = null;
+    flushPins();
+    console.log(`👁️ Pin@Home: Passive capture off (${domain})`);
+  }
+
+  if (settings.enabled) {
+    updateCaptureIndicator(indicator, { active, domain, count: capturedCount });
+    if (!indicator.isConnected) document.body.appendChild(indicator);
+  } else {
+    indicator.remove();
+  }
+}
+
+function toggleDomain() {
+  const disabledDomains = settings.disabledDomains.includes(domain)
+    ? settings.disabledDomains.filter(d => d !== domain)
+    : [...settings.disabledDomains, domain];
+  savePassiveCapture({ disabledDomains }); // Applied by the storage listener below
+}
+
+function queuePins(records) {
+  pendingPins.push(...records);
+  if (!flushTimer) flushTimer = setTimeout(flushPins, FLUSH_DELAY);
+}
+
+async function flushPins() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (pendingPins.length === 0) return;
+
+  const records = pendingPins;
+  pendingPins = [];
+  const added = await addPinsToBoard(SEEN_CACHE_KEY, records, { maxSize: settings.maxPins });
+
+  if (added > 0) {
+    capturedCount += added;
+    if (stopScanning) updateCaptureIndicator(indicator, { active: true, domain, count: capturedCount });
+  }
+}
+
+// Settings changed (here or in the new tab)
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CONFIG.PASSIVE_CAPTURE_KEY]) {
+    applySettings();
+  }
+});
+
+// Don't lose the last batch when leaving the page
+window.addEventListener('pagehide', flushPins);
+
+applySettings().catch((e) => {
+  if (!isContextInvalidated(e)) console.warn('Pin@Home: Passive capture failed to start', e);
+});
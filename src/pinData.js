@@ -0,0 +1,155 @@
+// Pin@Home - Embedded Pin Data
+// Reads pins from the JSON Pinterest embeds in the page and from its API responses
+
+// Pin ID -> { pinId, url, width, height, title, sourceUrl, videoUrl }
+const pinDataById = new Map();
+
+let isCollecting = false;
+
+// Script tags holding the page's initial state
+const EMBEDDED_STATE_SELECTOR = 'script#__PWS_INITIAL_PROPS__, script#__PWS_DATA__';
+
+// Guard against pathological JSON when walking responses
+const MAX_WALK_DEPTH = 40;
+
+/**
+ * Pick the MP4 rendition from a Pinterest video list (HLS streams can't be stored)
+ * @param {Object} [videoList] - { V_720P: { url, width }, V_HLSV4: {...}, ... }
+ * @returns {string|null} Widest MP4 URL
+ */
+function pickVideoUrl(videoList) {
+  if (!videoList || typeof videoList !== 'object') return null;
+
+  const mp4s = Object.values(videoList)
+    .filter(video => typeof video?.url === 'string' && /\.mp4(\?|$)/i.test(video.url))
+    .sort((a, b) => (b.width || 0) - (a.width || 0));
+  return mp4s[0]?.url || null;
+}
+
+/**
+ * Video source of a video pin or video Idea/story pin
+ * @param {Object} pin - Pin object from Pinterest's JSON
+ * @returns {string|null}
+ */
+function extractVideoUrl(pin) {
+  const direct = pickVideoUrl(pin.videos?.video_list);
+  if (direct) return direct;
+
+  const pages = pin.story_pin_data?.pages || [];
+  for (const page of pages) {
+    for (const block of page?.blocks || []) {
+      const url = pickVideoUrl(block?.video?.video_list);
+      if (url) return url;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a Pinterest pin object to the fields of a pin record
+ * @param {Object} pin - Pin object from Pinterest's JSON ({ type: 'pin', id, images, ... })
+ * @returns {Object|null} Pin data, or null if it has no usable image
+ */
+function toPinData(pin) {
+  const image = pin.images?.orig || pin.images?.['736x'];
+  if (!image?.url) return null;
+
+  const title = pin.grid_title || pin.title || pin.auto_alt_text || pin.description || '';
+
+  return {
+    pinId: String(pin.id),
+    url: image.url,
+    width: image.width || 0,
+    height: image.height || 0,
+    title: typeof title === 'string' ? title.trim() : '',
+    sourceUrl: pin.link || null,
+    videoUrl: extractVideoUrl(pin)
+  };
+}
+
+/**
+ * Walk a JSON value and index every pin object found in it
+ * @param {*} value - Parsed JSON
+ * @param {number} [depth=0] - Current depth
+ * @returns {number} Pins indexed
+ */
+function indexPins(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > MAX_WALK_DEPTH) return 0;
+
+  if (Array.isArray(value)) {
+    return value.reduce((sum, item) => sum + indexPins(item, depth + 1), 0);
+  }
+
+  let indexed = 0;
+  if (value.type === 'pin' && value.id && value.images) {
+    const data = toPinData(value);
+    if (data) {
+      pinDataById.set(data.pinId, data);
+      indexed++;
+    }
+  }
+
+  for (const child of Object.values(value)) {
+    if (child && typeof child === 'object') {
+      indexed += indexPins(child, depth + 1);
+    }
+  }
+  return indexed;
+}
+
+/**
+ * Parse a JSON string and index its pins (malformed JSON is ignored)
+ * @param {string} text - JSON text
+ * @param {string} label - What the JSON came from (debug logging)
+ */
+function indexJson(text, label) {
+  try {
+    const count = indexPins(JSON.parse(text));
+    if (count > 0) {
+      console.log(`📦 Pin@Home: ${count} pins from ${label} (${pinDataById.size} indexed)`);
+    }
+  } catch (e) {
+    // Not JSON we can read - the DOM strategy covers it
+  }
+}
+
+/**
+ * Index the state embedded in the current document
+ * Only holds pins of the page that was loaded, not of later SPA navigations.
+ */
+function readEmbeddedState() {
+  document.querySelectorAll(EMBEDDED_STATE_SELECTOR).forEach(script => {
+    indexJson(script.textContent, `embedded ${script.id}`);
+  });
+}
+
+function handleBridgeMessage(event) {
+  if (event.source !== window || event.data?.source !== 'pin_at_home-bridge') return;
+  if (event.data.type === 'resource') {
+    const resource = event.data.url.match(/\/resource\/(\w+)\//)?.[1] || 'resource';
+    indexJson(event.data.text, resource);
+  }
+}
+
+/**
+ * Start collecting pin data (safe to call more than once)
+ * Reads the embedded state, then listens to the page bridge and asks it to
+ * replay the responses it saw before this module was loaded.
+ */
+export function startPinDataCollection() {
+  if (isCollecting) return;
+  isCollecting = true;
+
+  readEmbeddedState();
+  window.addEventListener('message', handleBridgeMessage);
+  window.postMessage({ source: 'pin_at_home-content', type: 'replay' }, window.location.origin);
+}
+
+/**
+ * Get the embedded data for a pin
+ * @param {string} pinId - Pinterest pin ID
+ * @returns {Object|null} { pinId, url, width, height, title, sourceUrl, videoUrl }
+ */
+export function getPinData(pinId) {
+  return pinDataById.get(pinId) || null;
+}
@@ -0,0 +1,356 @@
+// Pin@Home - Pin Database
+// IndexedDB boards and pins, owned by the background worker (storageWriter.js)
+
+import { getPinHash, mergePinMetadata } from './pinRecord.js';
+
+const DB_NAME = 'PinAtHomePins';
+const DB_VERSION = 1;
+const BOARDS_STORE = 'boards';
+const PINS_STORE = 'pins';
+
+let dbPromise = null;
+
+/**
+ * Open the database (once per worker)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(BOARDS_STORE)) {
+          db.createObjectStore(BOARDS_STORE, { keyPath: 'cacheKey' });
+        }
+        if (!db.objectStoreNames.contains(PINS_STORE)) {
+          const pins = db.createObjectStore(PINS_STORE, { keyPath: ['cacheKey', 'hash'] });
+          pins.createIndex('board', ['cacheKey', 'seq']);
+          pins.createIndex('firstSeen', ['cacheKey', 'firstSeen']);
+          pins.createIndex('hash', 'hash');
+        }
+      };
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => {
+        dbPromise = null;
+        reject(event.target.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Resolve with the result of a request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction is committed
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Key range of every row of a board, in a [cacheKey, ...] keyed store or index
+ * (arrays sort after strings and numbers, so [cacheKey, []] is past every key of the board)
+ * @param {string} cacheKey - Board cache key
+ * @returns {IDBKeyRange}
+ */
+function boardRange(cacheKey) {
+  return IDBKeyRange.bound([cacheKey], [cacheKey, []]);
+}
+
+/**
+ * Strip the database fields from a stored pin
+ * @param {Object} stored - Row of the pins store
+ * @returns {Object} Pin record
+ */
+function toRecord({ cacheKey, hash, seq, ...record }) {
+  return record;
+}
+
+/**
+ * Delete the oldest pins of a board
+ * @param {IDBObjectStore} pins - Pins store (readwrite)
+ * @param {string} cacheKey - Board cache key
+ * @param {number} count - Pins to delete
+ * @returns {Promise<void>}
+ */
+function deleteOldest(pins, cacheKey, count) {
+  return new Promise((resolve, reject) => {
+    let left = count;
+    const request = pins.index('board').openCursor(boardRange(cacheKey));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || left === 0) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      left--;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ============ READS ============
+
+/**
+ * Get a board's pins, newest first
+ * @param {string} cacheKey - Board cache key
+ * @returns {Promise<Object[]>} Pin records (empty if the board doesn't exist)
+ */
+export async function getBoardPins(cacheKey) {
+  const db = await openDB();
+  const transaction = db.transaction([PINS_STORE], 'readonly');
+  const stored = await requestResult(transaction.objectStore(PINS_STORE).index('board').getAll(boardRange(cacheKey)));
+  return stored.reverse().map(toRecord);
+}
+
+/**
+ * Get the summary of every board (no pins)
+ * @returns {Promise<Array<{cacheKey: string, pinCount: number, updatedAt: number}>>}
+ */
+export async function getBoardSummaries() {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE], 'readonly');
+  return requestResult(transaction.objectStore(BOARDS_STORE).getAll());
+}
+
+/**
+ * Estimate the size of every board's pins (JSON length of its rows)
+ * @returns {Promise<Object>} { [cacheKey]: bytes }
+ */
+export async function getBoardSizes() {
+  const db = await openDB();
+  const transaction = db.transaction([PINS_STORE], 'readonly');
+  const sizes = {};
+
+  await new Promise((resolve, reject) => {
+    const request = transaction.objectStore(PINS_STORE).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const { cacheKey } = cursor.value;
+      sizes[cacheKey] = (sizes[cacheKey] || 0) + JSON.stringify(cursor.value).length;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return sizes;
+}
+
+// ============ WRITES ============
+
+/**
+ * Add pins to a board: new pins become the newest, known pins (same image hash)
+ * only get their missing metadata filled in and are un-archived
+ * @param {string} cacheKey - Board cache key
+ * @param {Object[]} records - Pin records, newest first
+ * @param {number} maxSize - Pins kept on the board (the oldest are deleted)
+ * @returns {Promise<Object[]>} The pins that were new to the board
+ */
+export async function addPins(cacheKey, records, maxSize) {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE, PINS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  const boards = transaction.objectStore(BOARDS_STORE);
+  const pins = transaction.objectStore(PINS_STORE);
+
+  const board = await requestResult(boards.get(cacheKey)) || { cacheKey, pinCount: 0, nextSeq: 0 };
+  const existing = await Promise.all(
+    records.map(record => requestResult(pins.get([cacheKey, getPinHash(record.url)])))
+  );
+
+  // hash -> { row, isNew, changed } (a batch may hold the same pin twice)
+  const rows = new Map();
+  records.forEach((record, i) => {
+    const hash = getPinHash(record.url);
+    const entry = rows.get(hash);
+    if (entry) {
+      if (mergePinMetadata(entry.row, record)) entry.changed = true;
+    } else if (existing[i]) {
+      const row = existing[i];
+      let changed = mergePinMetadata(row, record);
+
+      // Seen on Pinterest again, so it's no longer archived
+      if (row.archivedAt) {
+        delete row.archivedAt;
+        changed = true;
+      }
+      rows.set(hash, { row, isNew: false, changed });
+    } else {
+      rows.set(hash, { row: { ...record, cacheKey, hash }, isNew: true, changed: true });
+    }
+  });
+
+  // The first record of the batch is the newest
+  const added = [...rows.values()].filter(entry => entry.isNew);
+  added.forEach((entry, i) => {
+    entry.row.seq = board.nextSeq + added.length - 1 - i;
+  });
+
+  for (const entry of rows.values()) {
+    if (entry.changed) pins.put(entry.row);
+  }
+
+  if (added.length > 0) {
+    board.nextSeq += added.length;
+    board.pinCount += added.length;
+    if (board.pinCount > maxSize) {
+      await deleteOldest(pins, cacheKey, board.pinCount - maxSize);
+      board.pinCount = maxSize;
+    }
+    board.updatedAt = Date.now();
+    boards.put(board);
+  }
+
+  await done;
+  return added.map(entry => toRecord(entry.row));
+}
+
+/**
+ * Remove pins from a board, or mark them as archived
+ * @param {string} cacheKey - Board cache key
+ * @param {string[]} urls - URLs of the pins to update
+ * @param {'purge'|'archive'} action - What to do with them
+ * @returns {Promise<number>} Number of pins affected
+ */
+export async function updatePins(cacheKey, urls, action) {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE, PINS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  const boards = transaction.objectStore(BOARDS_STORE);
+  const pins = transaction.objectStore(PINS_STORE);
+
+  const rows = await Promise.all(urls.map(url => requestResult(pins.get([cacheKey, getPinHash(url)]))));
+  const now = Date.now();
+  let affected = 0;
+
+  for (const row of rows) {
+    if (!row) continue;
+    if (action === 'purge') {
+      pins.delete([cacheKey, row.hash]);
+      affected++;
+    } else if (!row.archivedAt) {
+      pins.put({ ...row, archivedAt: now });
+      affected++;
+    }
+  }
+
+  if (action === 'purge' && affected > 0) {
+    const board = await requestResult(boards.get(cacheKey));
+    if (board) {
+      boards.put({ ...board, pinCount: Math.max(board.pinCount - affected, 0), updatedAt: now });
+    }
+  }
+
+  await done;
+  return affected;
+}
+
+/**
+ * Delete a board's oldest pins, keeping the newest
+ * @param {string} cacheKey - Board cache key
+ * @param {number} keep - Pins to keep
+ * @returns {Promise<number>} Pins deleted
+ */
+export async function trimBoard(cacheKey, keep) {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE, PINS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  const boards = transaction.objectStore(BOARDS_STORE);
+
+  const board = await requestResult(boards.get(cacheKey));
+  const excess = board ? board.pinCount - Math.max(keep, 0) : 0;
+  if (excess > 0) {
+    await deleteOldest(transaction.objectStore(PINS_STORE), cacheKey, excess);
+    boards.put({ ...board, pinCount: board.pinCount - excess, updatedAt: Date.now() });
+  }
+
+  await done;
+  return Math.max(excess, 0);
+}
+
+/**
+ * Replace a board's pins (migration from chrome.storage arrays)
+ * @param {string} cacheKey - Board cache key
+ * @param {Object[]} records - Pin records, newest first
+ * @returns {Promise<number>} Pins stored (duplicate images are merged)
+ */
+export async function importBoard(cacheKey, records) {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE, PINS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  const pins = transaction.objectStore(PINS_STORE);
+
+  pins.delete(boardRange(cacheKey));
+
+  const rows = new Map();
+  for (const record of records) {
+    const hash = getPinHash(record.url);
+    if (rows.has(hash)) {
+      mergePinMetadata(rows.get(hash), record);
+    } else {
+      rows.set(hash, { ...record, cacheKey, hash });
+    }
+  }
+
+  let seq = rows.size;
+  for (const row of rows.values()) {
+    row.seq = --seq;
+    pins.put(row);
+  }
+  transaction.objectStore(BOARDS_STORE).put({ cacheKey, pinCount: rows.size, nextSeq: rows.size, updatedAt: Date.now() });
+
+  await done;
+  return rows.size;
+}
+
+/**
+ * Delete a board and all its pins
+ * @param {string} cacheKey - Board cache key
+ * @returns {Promise<void>}
+ */
+export async function deleteBoard(cacheKey) {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE, PINS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  transaction.objectStore(PINS_STORE).delete(boardRange(cacheKey));
+  transaction.objectStore(BOARDS_STORE).delete(cacheKey);
+  await done;
+}
+
+/**
+ * Delete every board
+ * @returns {Promise<number>} Number of boards deleted
+ */
+export async function deleteAllBoards() {
+  const db = await openDB();
+  const transaction = db.transaction([BOARDS_STORE, PINS_STORE], 'readwrite');
+  const done = transactionDone(transaction);
+  const count = await requestResult(transaction.objectStore(BOARDS_STORE).count());
+  transaction.objectStore(BOARDS_STORE).clear();
+  transaction.objectStore(PINS_STORE).clear();
+  await done;
+  return count;
+}
@@ -0,0 +1,137 @@
+// Pin@Home - Pin Records
+// Shape of a cached pin, plus helpers to migrate legacy URL-only caches
+
+import { CONFIG } from './config.js';
+
+/**
+ * Create a pin record
+ * @param {Object} fields - Pin fields (only `url` is required)
+ * @param {string} fields.url - Image URL (the poster frame for video pins)
+ * @param {string|null} [fields.pinId] - Pinterest pin ID (from the /pin/<id> anchor)
+ * @param {string} [fields.title] - Title or alt text
+ * @param {string|null} [fields.sourceUrl] - Outbound source link
+ * @param {number} [fields.width] - Natural image width
+ * @param {number} [fields.height] - Natural image height
+ * @param {number|null} [fields.firstSeen] - Timestamp (ms) the pin was first seen
+ * @param {string|null} [fields.videoUrl] - MP4 source of video / animated pins
+ * @param {'data'|'dom'|null} [fields.strategy] - Extraction strategy that produced the pin
+ *   ('data' = Pinterest's embedded JSON, 'dom' = rendered <img>, null = unknown/legacy)
+ * @returns {Object} Pin record
+ */
+export function createPinRecord({
+  url,
+  pinId = null,
+  title = '',
+  sourceUrl = null,
+  width = 0,
+  height = 0,
+  firstSeen = Date.now(),
+  videoUrl = null,
+  strategy = null
+}) {
+  return { url, pinId, title, sourceUrl, width, height, firstSeen, videoUrl, strategy };
+}
+
+/**
+ * Convert a cache entry (legacy URL string or record) to a pin record
+ * Legacy entries have no metadata, so their first-seen date is unknown (null)
+ * @param {string|Object} entry - Cache entry
+ * @returns {Object|null} Pin record, or null if the entry is unusable
+ */
+export function toPinRecord(entry) {
+  if (typeof entry === 'string') {
+    return createPinRecord({ url: entry, firstSeen: null });
+  }
+  if (entry && typeof entry.url === 'string') {
+    return entry;
+  }
+  return null;
+}
+
+/**
+ * Normalize a stored board cache to an array of pin records
+ * @param {Array<string|Object>} entries - Raw value from storage
+ * @returns {Object[]} Pin records
+ */
+export function normalizePinRecords(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries.map(toPinRecord).filter(Boolean);
+}
+
+/**
+ * Check if a stored board cache still uses the legacy string format
+ * @param {Array} entries - Raw value from storage
+ * @returns {boolean}
+ */
+export function isLegacyCache(entries) {
+  return Array.isArray(entries) && entries.some(entry => typeof entry === 'string');
+}
+
+/**
+ * Normalize an image URL to its base hash to avoid duplicates from different sizes
+ * Pinterest URLs: https://i.pinimg.com/236x/8d/3f/c0/hash.jpg (or /originals/..., /736x/...)
+ * The extension is dropped too: originals may be .png while resized copies are .jpg.
+ * @param {string} url - Image URL
+ * @returns {string} Hash (or the URL itself for non-Pinterest images)
+ */
+export function getPinHash(url) {
+  const match = url.match(/pinimg\.com\/(?:[^/?#]+\/)+([a-f0-9]+)\.[a-z0-9]+(?:[?#].*)?$/i);
+  return match ? match[1].toLowerCase() : url;
+}
+
+/**
+ * Get image URLs from pin records (what the UI renders)
+ * @param {Object[]} records - Pin records
+ * @returns {string[]}
+ */
+export function getPinUrls(records) {
+  return records.map(record => record.url);
+}
+
+/**
+ * Fill metadata missing on an existing record from a freshly scanned one.
+ * Never overwrites known values and keeps the original first-seen date.
+ * @param {Object} existing - Record already in cache (mutated)
+ * @param {Object} incoming - Freshly scanned record
+ * @returns {boolean} True if anything changed
+ */
+export function mergePinMetadata(existing, incoming) {
+  let changed = false;
+
+  for (const field of ['pinId', 'title', 'sourceUrl', 'width', 'height', 'videoUrl']) {
+    if (!existing[field] && incoming[field]) {
+      existing[field] = incoming[field];
+      changed = true;
+    }
+  }
+
+  if (existing.firstSeen == null && incoming.firstSeen != null) {
+    existing.firstSeen = incoming.firstSeen;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Append the pins of `secondary` that `primary` doesn't have (by image hash); pins in
+ * both get their missing metadata filled in from `secondary`
+ * @param {Object[]} primary - Pin records (order kept)
+ * @param {Object[]} secondary - Pin records
+ * @returns {Object[]}
+ */
+export function appendMissingPins(primary, secondary) {
+  const byHash = new Map(primary.map(pin => [getPinHash(pin.url), pin]));
+  const extra = [];
+
+  for (const pin of secondary) {
+    const existing = byHash.get(getPinHash(pin.url));
+    if (existing) {
+      mergePinMetadata(existing, pin);
+    } else {
+      byHash.set(getPinHash(pin.url), pin);
+      extra.push(pin);
+    }
+  }
+  return [...primary, ...extra].slice(0, CONFIG.MAX_CACHE_SIZE);
+}
@@ -0,0 +1,111 @@
+// Pin@Home - Pin Saver
+// "Add to Pin@Home" hover button: saves a single pin into a collection, on any Pinterest page
+// (home feed, search, boards, pin detail). Loaded once by loader.js.
+
+import { getCollections, createCollection, addPinsToBoard } from './cache.js';
+import { extractPin, extractCloseupPin, PIN_ANCHOR_SELECTOR, PIN_WRAPPER_SELECTOR, CLOSEUP_SELECTOR } from './scanner.js';
+import { startPinDataCollection } from './pinData.js';
+import { isContextInvalidated, showReloadNotification } from './utils.js';
+import {
+  createSaveButton, positionSaveButton, hideSaveButton, showSaveResult,
+  openSaveMenu, closeSaveMenu, isSaveMenuOpen
+} from './ui/pinSaveButton.js';
+
+// Pin under the mouse: { element, extract } (kept while the dropdown is open)
+let hoveredPin = null;
+
+const saveButton = createSaveButton(toggleMenu);
+document.body.appendChild(saveButton);
+
+startPinDataCollection();
+console.log('📌 Pin@Home: Pin saver ready');
+
+/**
+ * Find the pin an element belongs to
+ * @param {Element} target - Hovered element
+ * @returns {{element: HTMLElement, extract: function(): (Object|null)}|null}
+ */
+function findPin(target) {
+  const closeup = target.closest(CLOSEUP_SELECTOR);
+  if (closeup) {
+    return { element: closeup, extract: () => extractCloseupPin(closeup) };
+  }
+
+  const wrapper = target.closest(PIN_WRAPPER_SELECTOR);
+  const anchor = target.closest(PIN_ANCHOR_SELECTOR) || wrapper?.querySelector(PIN_ANCHOR_SELECTOR);
+  if (!anchor) return null;
+  return { element: wrapper || anchor, extract: () => extractPin(anchor) };
+}
+
+document.addEventListener('mouseover', (e) => {
+  if (isSaveMenuOpen() || !(e.target instanceof Element)) return;
+  if (e.target === saveButton) return;
+
+  const pin = findPin(e.target);
+  if (pin) {
+    hoveredPin = pin;
+    positionSaveButton(saveButton, pin.element);
+  } else {
+    hoveredPin = null;
+    hideSaveButton(saveButton);
+  }
+}, { passive: true });
+
+// The button is fixed-positioned, so it would drift away from its pin
+window.addEventListener('scroll', () => {
+  closeSaveMenu();
+  hideSaveButton(saveButton);
+}, { capture: true, passive: true });
+
+// Close the dropdown when clicking anywhere else
+document.addEventListener('click', (e) => {
+  if (isSaveMenuOpen() && !e.target.closest?.('#pin_at_home-save-menu')) {
+    closeSaveMenu();
+  }
+});
+
+async function toggleMenu() {
+  if (isSaveMenuOpen()) {
+    closeSaveMenu();
+    return;
+  }
+  if (!hoveredPin) return;
+
+  const pin = hoveredPin;
+  const collections = await getCollections();
+  openSaveMenu(saveButton, collections, {
+    onSelect: (collection) => savePin(pin, collection),
+    onCreate: (name) => savePin(pin, createCollection(name))
+  });
+}
+
+/**
+ * Save one pin into a collection and show the result on the button
+ * @param {{extract: function(): (Object|null)}} pin
+ * @param {Object|Promise<Object>} collection - { cacheKey, name } (a promise while it is being created)
+ */
+async function savePin(pin, collection) {
+  const record = pin.extract();
+  if (!record) {
+    showSaveResult(saveButton, 'Not loaded yet');
+    return;
+  }
+
+  try {
+    const { cacheKey, name } = await collection;
+    const added = await addPinsToBoard(cacheKey, [record]);
+    if (added === null) {
+      showSaveResult(saveButton, 'Save failed');
+    } else {
+      showSaveResult(saveButton, added > 0 ? 'Saved ✓' : 'Already saved');
+      console.log(`📌 Pin@Home: Saved pin to "${name}"`);
+    }
+  } catch (e) {
+    if (isContextInvalidated(e)) {
+      showReloadNotification();
+    } else {
+      console.warn('Pin@Home: Failed to save pin', e);
+      showSaveResult(saveButton, 'Save failed');
+    }
+  }
+}
@@ -0,0 +1,52 @@
+// Pin@Home - Removed Pin Reconciliation
+// After a complete scan, finds cached pins that are no longer on the board
+
+import { CONFIG } from './config.js';
+import { flushCache, findMissingPins } from './cache.js';
+
+/**
+ * Check whether a scan saw enough of the board to trust what it did NOT see.
+ * A scan that was cut short must never lead to pins being purged.
+ * @param {Object} summary - Scan summary from startScanning's onComplete
+ * @returns {string|null} Why reconciliation is unsafe, or null if it is safe
+ */
+export function getReconcileBlocker(summary) {
+  if (summary.isDelta) return 'quick update only sees the newest pins';
+  if (summary.reason !== 'target' && summary.reason !== 'bottom') return 'scan did not finish';
+  
+  if (summary.target && summary.found < summary.target * CONFIG.RECONCILE_MIN_COVERAGE) {
+    return `only ${summary.found} of ${summary.target} pins were seen`;
+  }
+  
+  return null;
+}
+
+/**
+ * Find cached pins that a complete scan never saw
+ * @param {string} cacheKey - Board cache key
+ * @param {Object} summary - Scan summary from startScanning's onComplete
+ * @returns {Promise<Object[]>} Pin records missing from the board (empty if unsafe)
+ */
+export async function findRemovedPins(cacheKey, summary) {
+  const blocker = getReconcileBlocker(summary);
+  if (blocker) {
+    console.log(`🧘 Pin@Home: Skipping removed-pin check (${blocker})`);
+    return [];
+  }
+  
+  // Make sure every pin from this scan is written before comparing
+  await flushCache();
+  
+  const { missing, total } = await findMissingPins(cacheKey, summary.seenHashes);
+  
+  // Safeguard: losing most of a board at once is far more likely a broken scan
+  if (total > 0 && missing.length / total > CONFIG.RECONCILE_MAX_MISSING_RATIO) {
+    console.warn(`Pin@Home: ${missing.length}/${total} pins missing - too many, not offering removal`);
+    return [];
+  }
+  
+  if (missing.length > 0) {
+    console.log(`🧘 Pin@Home: ${missing.length} cached pins are no longer on this board`);
+  }
+  return missing;
+}
@@ -0,0 +1,44 @@
+// Pin@Home - Rescan Client
+// New tab side of "Rescan": asks the background worker (background.js) to rescan a
+// board in a helper tab, and routes the scanner's progress messages back per board
+
+// Board cache key -> progress handler of a running rescan
+const progressHandlers = new Map();
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type !== 'pin_at_home-rescan-progress') return;
+  
+  const handler = progressHandlers.get(message.cacheKey);
+  if (!handler) return;
+  if (message.isDone || message.error) progressHandlers.delete(message.cacheKey);
+  handler(message);
+});
+
+/**
+ * Rescan a board without visiting Pinterest
+ * @param {Object} board - Board with a Pinterest `url`
+ * @param {function(Object): void} onProgress - Called with { count, newCount, isDelta, target }
+ *   while scanning, then once with { isDone, newCount } or { error }
+ * @returns {Promise<boolean>} False if the rescan couldn't start (onProgress gets the error)
+ */
+export async function requestRescan(board, onProgress) {
+  progressHandlers.set(board.cacheKey, onProgress);
+  
+  let error;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'pin_at_home-rescan',
+      cacheKey: board.cacheKey,
+      url: board.url
+    });
+    if (response?.ok) return true;
+    error = response?.error || 'Rescan failed';
+  } catch (e) {
+    console.warn('Pin@Home: Rescan request failed', e);
+    error = e.message;
+  }
+  
+  progressHandlers.delete(board.cacheKey);
+  onProgress({ error });
+  return false;
+}
@@ -2,10 +2,32 @@
 // Aggressive scroll-and-scan approach: scrolls to bottom while capturing all pins
 import { CONFIG } from './config.js';
 import { state, updateState } from './state.js';
-import { saveToCache } from './cache.js';
+import { saveToCache, getCachedPins, flushCache } from './cache.js';
+import { createPinRecord, getPinHash, getPinUrls } from './pinRecord.js';
+import { startPinDataCollection, getPinData } from './pinData.js';
 
-// Set of already-found URLs to avoid duplicates
-const foundUrls = new Set();
+// Already-found pins (normalized image hash -> pin record) to avoid duplicates
+// The same pin at another size has the same hash, so a lookup is enough
+const foundPins = new Map();
+
+export const PIN_ANCHOR_SELECTOR = 'a[href*="/pin/"]';
+export const PIN_WRAPPER_SELECTOR = '[data-test-id="pin"], [data-grid-item="true"]';
+// Main image of a pin detail page (/pin/<id>/), which isn't inside a pin link
+export const CLOSEUP_SELECTOR = '[data-test-id="closeup-image"], [data-test-id="pin-closeup-image"]';
+
+// Feed observer: only pin anchors inserted (or whose image changed) since the
+// last tick are processed, instead of re-querying the whole container
+let feedObserver = null;
+let observedContainer = null;
+const pendingAnchors = new Set();
+
+// Scan report bookkeeping, reset by startScanning()
+// { duplicates, seenPinIds: Set, rejected: Map<pinId, reason>, strategies: { data, dom } }
+let scanStats = createScanStats();
+
+// Quick update ("delta") state - null during a full scan
+// { knownHashes: Set<string>, knownRun: number, newPins: Object[] }
+let deltaState = null;
 
 /**
  * Extract pin count from Pinterest board header
@@ -43,15 +65,6 @@ export function getBoardPinCount() {
   return null;
 }
 
-/**
- * Normalize URL to base hash to avoid duplicates from different sizes
- * Pinterest URLs: https://i.pinimg.com/236x/hash.jpg
- */
-function normalizeUrl(url) {
-  const match = url.match(/pinimg\.com\/[^/]+\/([a-f0-9]+\.[a-z]+)/i);
-  return match ? match[1] : url;
-}
-
 /**
  * Extract URL from image - get highest quality version
  */
@@ -63,29 +76,219 @@ function extractUrl(img) {
   return img.src;
 }
 
+/**
+ * Get the grid card around a pin anchor
+ * @param {HTMLElement} anchor - The pin's /pin/<id> anchor
+ * @returns {HTMLElement|null}
+ */
+function getPinWrapper(anchor) {
+  return anchor.closest(PIN_WRAPPER_SELECTOR) || anchor.parentElement;
+}
+
+/**
+ * Find the outbound source link for a pin, if Pinterest renders one in the grid
+ * @param {HTMLElement} anchor - The pin's /pin/<id> anchor
+ * @returns {string|null}
+ */
+function extractSourceUrl(anchor) {
+  const pinWrapper = getPinWrapper(anchor);
+  if (!pinWrapper) return null;
+  
+  for (const link of pinWrapper.querySelectorAll('a[href^="http"]')) {
+    try {
+      const { hostname } = new URL(link.href);
+      if (!hostname.includes('pinterest.') && !hostname.includes('pinimg.com')) {
+        return link.href;
+      }
+    } catch (e) {
+      // Ignore malformed hrefs
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the video a pin card plays (video pins and GIFs, which Pinterest renders as video)
+ * @param {HTMLElement} anchor - The pin's /pin/<id> anchor
+ * @returns {{videoUrl: string|null, posterUrl: string|null}|null} Null if the pin has no video
+ */
+function extractVideo(anchor) {
+  const video = getPinWrapper(anchor)?.querySelector('video');
+  if (!video) return null;
+  
+  const sources = [video.getAttribute('src'), ...[...video.querySelectorAll('source')].map(s => s.getAttribute('src'))];
+  let videoUrl = null;
+  for (const src of sources.filter(Boolean)) {
+    videoUrl = /\.mp4(\?|$)/i.test(src) ? src : hlsToMp4(src);
+    if (videoUrl) break;
+  }
+  
+  const poster = video.getAttribute('poster') || '';
+  return { videoUrl, posterUrl: poster.includes('pinimg.com') ? poster : null };
+}
+
+/**
+ * Pinterest's HLS streams have an MP4 rendition at a predictable path
+ * https://v1.pinimg.com/videos/mc/hls/ab/cd/ef/hash.m3u8 -> .../videos/mc/720p/ab/cd/ef/hash.mp4
+ * @param {string} url - Stream URL
+ * @returns {string|null} MP4 URL, or null for anything else (e.g. blob: media sources)
+ */
+function hlsToMp4(url) {
+  const match = url.match(/^(https:\/\/v\d+\.pinimg\.com\/videos\/[^/]+\/)hls(\/.+)\.m3u8$/i);
+  return match ? `${match[1]}720p${match[2]}.mp4` : null;
+}
+
+/**
+ * Build a pin record from a validated pin image (DOM strategy)
+ * @param {HTMLImageElement} img - Pin image (already passed getImageRejection)
+ * @param {string} url - Extracted image URL
+ * @param {string|null} [videoUrl] - Video source for video pins
+ * @returns {Object} Pin record
+ */
+function buildPinRecord(img, url, videoUrl = null) {
+  const anchor = img.closest('a[href*="/pin/"]');
+  const pinIdMatch = (anchor?.getAttribute('href') || '').match(/\/pin\/(\d+)/);
+  
+  return createPinRecord({
+    url,
+    pinId: pinIdMatch ? pinIdMatch[1] : null,
+    title: (img.alt || anchor?.getAttribute('aria-label') || '').trim(),
+    sourceUrl: anchor ? extractSourceUrl(anchor) : null,
+    width: img.naturalWidth || 0,
+    height: img.naturalHeight || 0,
+    videoUrl,
+    strategy: 'dom'
+  });
+}
+
+/**
+ * Extract the pin behind a /pin/<id> anchor
+ * Prefers Pinterest's embedded data (original resolution, works before the
+ * image has loaded) and falls back to scraping the rendered <img>.
+ * @param {HTMLAnchorElement} anchor - Pin link
+ * @param {Object|null} [stats] - Scan stats to record a rejection in (scan report)
+ * @returns {Object|null} Pin record, or null if it isn't a usable pin
+ */
+export function extractPin(anchor, stats = null) {
+  const pinIdMatch = (anchor.getAttribute('href') || '').match(/\/pin\/(\d+)/);
+  if (!pinIdMatch) return null;
+  
+  const video = extractVideo(anchor);
+  
+  // Strategy 1: embedded page / API data
+  const data = getPinData(pinIdMatch[1]);
+  if (data) {
+    return createPinRecord({
+      ...data,
+      sourceUrl: data.sourceUrl || extractSourceUrl(anchor),
+      videoUrl: data.videoUrl || video?.videoUrl || null,
+      strategy: 'data'
+    });
+  }
+  
+  // Strategy 2: rendered image
+  const img = anchor.querySelector('img[src*="pinimg.com"]') || anchor.querySelector('img');
+  const rejection = img ? getImageRejection(img) : 'not-rendered';
+  if (!rejection) {
+    return buildPinRecord(img, extractUrl(img), video?.videoUrl || null);
+  }
+  
+  // Video pins may render no <img> at all - the poster frame is the image
+  if (video?.posterUrl) {
+    return createPinRecord({
+      url: video.posterUrl,
+      pinId: pinIdMatch[1],
+      title: (anchor.getAttribute('aria-label') || '').trim(),
+      sourceUrl: extractSourceUrl(anchor),
+      videoUrl: video.videoUrl,
+      strategy: 'dom'
+    });
+  }
+  
+  // Kept until the pin is found later in the scan (e.g. once its image loads)
+  stats?.rejected.set(pinIdMatch[1], rejection);
+  return null;
+}
+
+/**
+ * Extract the pin shown on a pin detail page from its closeup image
+ * @param {HTMLElement} closeup - Element matching CLOSEUP_SELECTOR
+ * @returns {Object|null} Pin record, or null if the image isn't a loaded pin image
+ */
+export function extractCloseupPin(closeup) {
+  const pinIdMatch = window.location.pathname.match(/\/pin\/(\d+)/);
+  if (!pinIdMatch) return null;
+  
+  const data = getPinData(pinIdMatch[1]);
+  if (data) {
+    return createPinRecord({ ...data, strategy: 'data' });
+  }
+  
+  const img = closeup.querySelector('img');
+  if (!img || !(img.src || '').includes('pinimg.com')) return null;
+  return createPinRecord({
+    url: extractUrl(img),
+    pinId: pinIdMatch[1],
+    title: (img.alt || '').trim(),
+    width: img.naturalWidth || 0,
+    height: img.naturalHeight || 0,
+    strategy: 'dom'
+  });
+}
+
 /**
  * Quick validation - just check if it's a pin image
+ * @param {HTMLImageElement} img - Candidate image
+ * @returns {string|null} Why the image was rejected, or null if it is a pin image
+ *   ('not-pinimg', 'no-pin-link', 'bad-pin-id', 'too-small')
  */
-function isValidPinImage(img) {
+function getImageRejection(img) {
   // Must have a src with pinimg.com
   const src = img.src || '';
-  if (!src.includes('pinimg.com')) return false;
+  if (!src.includes('pinimg.com')) return 'not-pinimg';
   
   // Must be inside a pin link
   const anchor = img.closest('a[href*="/pin/"]');
-  if (!anchor) return false;
+  if (!anchor) return 'no-pin-link';
   
   // Check if it's a real pin link (has numeric ID)
   const href = anchor.getAttribute('href') || '';
-  if (!href.match(/\/pin\/\d+/)) return false;
+  if (!href.match(/\/pin\/\d+/)) return 'bad-pin-id';
   
   // Exclude tiny images (avatars, icons)
   const width = img.naturalWidth || img.width || parseInt(img.getAttribute('width')) || 0;
   const height = img.naturalHeight || img.height || parseInt(img.getAttribute('height')) || 0;
-  if (width > 0 && width < 100) return false;
-  if (height > 0 && height < 100) return false;
+  if (width > 0 && width < 100) return 'too-small';
+  if (height > 0 && height < 100) return 'too-small';
   
-  return true;
+  return null;
+}
+
+function createScanStats() {
+  return {
+    duplicates: 0,
+    seenPinIds: new Set(),
+    rejected: new Map(),
+    strategies: { data: 0, dom: 0 }
+  };
+}
+
+/**
+ * Update the report counters for a successfully extracted pin
+ * @param {Object} record - Pin record
+ * @param {boolean} isNew - False if its image hash was already found
+ */
+function trackScanStats(record, isNew) {
+  const { pinId } = record;
+  if (pinId) scanStats.rejected.delete(pinId);
+  
+  if (isNew) {
+    scanStats.strategies[record.strategy] = (scanStats.strategies[record.strategy] || 0) + 1;
+  } else if (pinId && !scanStats.seenPinIds.has(pinId)) {
+    // Another pin with the same image (re-renders of the same pin don't count)
+    scanStats.duplicates++;
+  }
+  if (pinId) scanStats.seenPinIds.add(pinId);
 }
 
 /**
@@ -99,71 +302,185 @@ function findBoardContainer() {
 }
 
 /**
- * Scan currently visible images and add new ones
+ * Queue the pin anchors a mutated node belongs to or contains
+ * @param {Node} node - Added node or mutation target
  */
-function scanVisibleImages() {
+function queueNode(node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) return;
+  
+  // Node inside a pin (e.g. the <img> rendered after its anchor, or its <video>)
+  const anchor = node.closest(PIN_ANCHOR_SELECTOR)
+    || node.closest(PIN_WRAPPER_SELECTOR)?.querySelector(PIN_ANCHOR_SELECTOR);
+  if (anchor) {
+    pendingAnchors.add(anchor);
+    return;
+  }
+  node.querySelectorAll(PIN_ANCHOR_SELECTOR).forEach(a => pendingAnchors.add(a));
+}
+
+function handleFeedMutations(mutations) {
+  for (const mutation of mutations) {
+    if (mutation.type === 'childList') {
+      mutation.addedNodes.forEach(queueNode);
+    } else {
+      queueNode(mutation.target);
+    }
+  }
+}
+
+/**
+ * Observe the board feed, re-attaching when Pinterest swaps the container
+ * (e.g. the feed mounts after the page shell). Every (re)attach queues all
+ * pins already rendered in it, so the first tick is a full pass.
+ */
+function syncFeedObserver() {
   const container = findBoardContainer();
-  const images = container.querySelectorAll('img[src*="pinimg.com"]');
-  let newCount = 0;
+  if (container === observedContainer) return;
   
-  for (const img of images) {
-    if (isValidPinImage(img)) {
-      const url = extractUrl(img);
-      const normalized = normalizeUrl(url);
-      
+  feedObserver?.disconnect();
+  observedContainer = container;
+  feedObserver = new MutationObserver(handleFeedMutations);
+  feedObserver.observe(container, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src', 'srcset', 'href', 'poster']
+  });
+  
+  container.querySelectorAll(PIN_ANCHOR_SELECTOR).forEach(a => pendingAnchors.add(a));
+}
+
+function stopFeedObserver() {
+  feedObserver?.disconnect();
+  feedObserver = null;
+  observedContainer = null;
+  pendingAnchors.clear();
+}
+
+/**
+ * Process pins inserted since the last call and add new ones
+ */
+function scanVisibleImages() {
+  syncFeedObserver();
+  const anchors = [...pendingAnchors];
+  pendingAnchors.clear();
+  const previousSize = foundPins.size;
+  const added = [];
+  
+  for (const anchor of anchors) {
+    // Recycled out of the feed before we got to it
+    if (!anchor.isConnected) continue;
+    
+    const record = extractPin(anchor, scanStats);
+    if (record) {
       // We store the full URL, but check uniqueness against normalized hash
       // This prevents storing same image in different sizes
-      let isDuplicate = false;
-      for (const existing of foundUrls) {
-        if (normalizeUrl(existing) === normalized) {
-          isDuplicate = true;
-          break;
-        }
-      }
+      const normalized = getPinHash(record.url);
+      const isNew = !foundPins.has(normalized);
+      trackScanStats(record, isNew);
       
-      if (!isDuplicate) {
-        foundUrls.add(url);
-        newCount++;
+      if (isNew) {
+        foundPins.set(normalized, record);
+        
+        // A quick update only saves pins the cache doesn't know yet
+        if (!deltaState || trackDeltaPin(record, normalized)) added.push(record);
       }
     }
   }
   
+  if (added.length > 0) {
+    saveToCache(added);
+  }
+  
+  const newCount = foundPins.size - previousSize;
   if (newCount > 0) {
-    // Save to cache
-    saveToCache([...foundUrls]);
+    updateState({ pinsFound: getPinUrls([...foundPins.values()]) });
     if (CONFIG.DEBUG) {
-      console.log(`🧘 Found ${newCount} new pins (total: ${foundUrls.size})`);
+      console.log(`🧘 Found ${newCount} new pins (total: ${foundPins.size})`);
     }
   }
   
   return newCount;
 }
 
+/**
+ * Quick update bookkeeping for a newly found pin.
+ * Counts consecutive already-cached pins; any unknown pin resets the run.
+ * @param {Object} record - Pin record
+ * @param {string} normalized - Normalized image hash
+ * @returns {boolean} True if the pin is new to the cache
+ */
+function trackDeltaPin(record, normalized) {
+  if (deltaState.knownHashes.has(normalized)) {
+    deltaState.knownRun++;
+    return false;
+  }
+  deltaState.knownRun = 0;
+  deltaState.newPins.push(record);
+  return true;
+}
+
+/**
+ * Load the current board cache so a quick update can recognise known pins.
+ * Falls back to a full scan when the board has never been cached.
+ */
+async function prepareDeltaScan() {
+  const cachedPins = await getCachedPins(state.cacheKey);
+  
+  if (cachedPins.length === 0) {
+    console.log('🧘 Pin@Home: No cache for this board, quick update falls back to a full scan');
+    return;
+  }
+  
+  deltaState = {
+    knownHashes: new Set(cachedPins.map(pin => getPinHash(pin.url))),
+    knownRun: 0,
+    newPins: []
+  };
+  console.log(`🧘 Pin@Home: Quick update against ${cachedPins.length} cached pins`);
+}
+
 /**
  * Start scanning with auto-scroll to bottom
  * @param {Object} options - Options object
  * @param {function} options.onProgress - Called with progress updates
- * @param {function} options.onComplete - Called when scanning is complete
- * @returns {function} Cleanup function to stop scanning
+ * @param {function} options.onComplete - Called when scanning finished on its own (not when stopped)
+ *   with the pin count and a summary: { reason, isDelta, target, found, seenHashes, report }
+ * @param {function} [options.onPauseChange] - Called with (isPaused, { auto }) when the scan pauses or resumes
+ * @param {'full'|'delta'} [options.mode='full'] - 'delta' stops once it reaches already-cached pins
+ * @param {boolean} [options.pauseWhenHidden=true] - Pause automatically while the tab is hidden
+ * @param {number} [options.maxPins] - Stop after this many pins (endless feeds such as search results)
+ * @returns {{stop: function(): Promise<Object|null>, pause: function(): void, resume: function(): void, isPaused: function(): boolean}}
+ *   Scan controller - `stop()` ends the scan, saves whatever was found so far and resolves with the scan report
  */
 export function startScanning(options = {}) {
-  const { onProgress, onComplete } = options;
+  const { onProgress, onComplete, onPauseChange, mode = 'full', pauseWhenHidden = true, maxPins = null } = options;
   
   // RESET state at start
-  foundUrls.clear();
+  foundPins.clear();
+  scanStats = createScanStats();
+  deltaState = null;
+  stopFeedObserver();
+  startPinDataCollection();
   
   let isRunning = true;
+  let isPaused = false;
+  let pausedByVisibility = false;
+  let tickTimer = null;
   let noNewPinsCount = 0;
   let lastHeight = 0;
   let atBottomCount = 0;
   let currentDelay = 500; // Adaptive delay
+  const startedAt = Date.now();
+  let pausedAt = null;
+  let pausedMs = 0; // Time spent paused (not counted in the report's elapsed time)
   
   // Try to get target count
   const targetCount = getBoardPinCount();
   console.log(`🧘 Pin@Home: Starting scan. Target: ${targetCount || 'Unknown'} pins`);
   
   function tick() {
-    if (!isRunning) return;
+    if (!isRunning || isPaused) return;
     
     // Scan current viewport
     const newPins = scanVisibleImages();
@@ -177,9 +494,21 @@ export function startScanning(options = {}) {
       currentDelay = Math.min(currentDelay + 200, 2000);
     }
     
-    // Update state
-    const currentCount = foundUrls.size;
-    updateState({ pinsFound: [...foundUrls] });
+    const currentCount = foundPins.size;
+    
+    // STOP CONDITION 3: Quick update caught up with the cache
+    if (deltaState && deltaState.knownRun >= CONFIG.DELTA_KNOWN_RUN) {
+      console.log(`✅ Quick update caught up with cache! ${deltaState.newPins.length} new pins`);
+      finishScan('caught-up');
+      return;
+    }
+    
+    // STOP CONDITION 4: Pin limit (endless feeds)
+    if (maxPins && currentCount >= maxPins) {
+      console.log(`✅ Pin limit reached! (${currentCount}/${maxPins})`);
+      finishScan('limit');
+      return;
+    }
     
     // Report progress
     if (onProgress) {
@@ -190,6 +519,8 @@ export function startScanning(options = {}) {
       
       onProgress({
         count: currentCount,
+        newCount: deltaState ? deltaState.newPins.length : currentCount,
+        isDelta: !!deltaState,
         target: targetCount,
         scrollPercent: scrollPercent,
         isDone: false
@@ -218,7 +549,7 @@ export function startScanning(options = {}) {
       if (targetCount && currentCount >= targetCount * 0.98) {
          if (noNewPinsCount >= 2) {
            console.log(`✅ Target reached! (${currentCount}/${targetCount})`);
-           finishScan();
+           finishScan('target');
            return;
          }
       }
@@ -229,7 +560,7 @@ export function startScanning(options = {}) {
       
       if (atBottomCount >= patienceLimit && noNewPinsCount >= patienceLimit) {
         console.log(`✅ Scan complete (reached bottom)! Found ${currentCount} pins`);
-        finishScan();
+        finishScan('bottom');
         return;
       }
       
@@ -247,62 +578,191 @@ export function startScanning(options = {}) {
     }
     
     // Continue with adaptive delay
-    setTimeout(tick, currentDelay);
+    tickTimer = setTimeout(tick, currentDelay);
   }
   
-  function finishScan() {
+  /**
+   * @param {boolean} paused - Pause or resume
+   * @param {boolean} [auto=false] - Triggered by tab visibility rather than the user
+   */
+  function setPaused(paused, auto = false) {
+    if (!isRunning || paused === isPaused) return;
+    
+    isPaused = paused;
+    pausedByVisibility = paused && auto;
+    if (paused) {
+      pausedAt = Date.now();
+    } else {
+      pausedMs += Date.now() - pausedAt;
+      pausedAt = null;
+    }
+    clearTimeout(tickTimer);
+    if (!paused) tickTimer = setTimeout(tick, 100);
+    
+    console.log(`🧘 Pin@Home: Scan ${paused ? 'paused' : 'resumed'}${auto ? ' (tab visibility)' : ''}`);
+    if (onPauseChange) onPauseChange(paused, { auto });
+  }
+  
+  // Auto-pause while the tab is hidden; only auto-resume what was auto-paused
+  function handleVisibilityChange() {
+    if (document.hidden) {
+      if (!isPaused) setPaused(true, true);
+    } else if (pausedByVisibility) {
+      setPaused(false, true);
+    }
+  }
+  
+  if (pauseWhenHidden) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+  
+  function cleanup() {
     isRunning = false;
+    clearTimeout(tickTimer);
+    stopFeedObserver();
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }
+  
+  /**
+   * Build the post-scan report
+   * @param {'target'|'bottom'|'caught-up'|'limit'|'cancelled'} reason - Stop condition that ended the scan
+   * @returns {Object} { reason, isDelta, target, found, newCount, duplicates, rejected, strategies, elapsedMs, finishedAt }
+   */
+  function buildReport(reason) {
+    const rejected = {};
+    for (const rejection of scanStats.rejected.values()) {
+      rejected[rejection] = (rejected[rejection] || 0) + 1;
+    }
+    const finishedAt = Date.now();
+    
+    return {
+      reason,
+      isDelta: !!deltaState,
+      target: targetCount,
+      found: foundPins.size,
+      newCount: deltaState ? deltaState.newPins.length : foundPins.size,
+      duplicates: scanStats.duplicates,
+      rejected,
+      strategies: { ...scanStats.strategies },
+      elapsedMs: finishedAt - startedAt - pausedMs - (pausedAt ? finishedAt - pausedAt : 0),
+      finishedAt
+    };
+  }
+  
+  /**
+   * @param {'target'|'bottom'|'caught-up'|'limit'} reason - Stop condition that ended the scan
+   */
+  function finishScan(reason) {
+    cleanup();
+    const newCount = deltaState ? deltaState.newPins.length : foundPins.size;
     if (onProgress) {
       onProgress({
-        count: foundUrls.size,
+        count: foundPins.size,
+        newCount,
+        isDelta: !!deltaState,
         target: targetCount,
         scrollPercent: 100,
         isDone: true
       });
     }
-    if (onComplete) onComplete(foundUrls.size);
+    if (onComplete) {
+      onComplete(newCount, {
+        reason,
+        isDelta: !!deltaState,
+        target: targetCount,
+        found: foundPins.size,
+        seenHashes: new Set(foundPins.keys()),
+        report: buildReport(reason)
+      });
+    }
   }
   
-  // Start after a brief delay
-  setTimeout(tick, 100);
+  // Start after a brief delay (a quick update first loads the known pins)
+  const ready = mode === 'delta' ? prepareDeltaScan() : Promise.resolve();
+  ready.then(() => {
+    if (isRunning && !isPaused) tickTimer = setTimeout(tick, 100);
+    if (pauseWhenHidden && document.hidden) setPaused(true, true);
+  });
   
-  // Return cleanup function
-  return () => {
-    isRunning = false;
+  // Return scan controller
+  return {
+    stop: async () => {
+      if (!isRunning) return null;
+      cleanup();
+      const report = buildReport('cancelled');
+      await flushCache(); // Keep everything found so far
+      console.log(`🧘 Pin@Home: Scan stopped, ${foundPins.size} pins kept`);
+      return report;
+    },
+    pause: () => setPaused(true),
+    resume: () => setPaused(false),
+    isPaused: () => isPaused
   };
 }
 
 /**
- * Start passive scanning (no auto-scroll, just scan what's visible)
- * @param {function} onComplete - Called when enough pins found
- * @returns {number} Interval ID for cleanup
+ * Start passive scanning (no auto-scroll): collects the pins the user scrolls past,
+ * i.e. pins at least half in view, on any Pinterest page. Keeps its own state, so it
+ * can run alongside startScanning().
+ * @param {Object} options
+ * @param {function(Object[]): void} options.onPins - Called with newly seen pin records
+ * @returns {function(): void} Stop function
  */
-export function startPassiveScanning(onComplete) {
-  let noNewPinsCount = 0;
+export function startPassiveScanning({ onPins }) {
+  const seenHashes = new Set();
+  const inView = new Set(); // Pin anchors in view, not extracted yet (their image may load later)
+  startPinDataCollection();
+  
+  const visibilityObserver = new IntersectionObserver((entries) => {
+    for (const { target, isIntersecting } of entries) {
+      if (isIntersecting) {
+        inView.add(target);
+      } else {
+        inView.delete(target);
+      }
+    }
+  }, { threshold: 0.5 });
+  
+  const observeAnchors = (node) => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.matches(PIN_ANCHOR_SELECTOR)) visibilityObserver.observe(node);
+    node.querySelectorAll(PIN_ANCHOR_SELECTOR).forEach(anchor => visibilityObserver.observe(anchor));
+  };
+  
+  const pageObserver = new MutationObserver((mutations) => {
+    mutations.forEach(mutation => mutation.addedNodes.forEach(observeAnchors));
+  });
+  pageObserver.observe(document.body, { childList: true, subtree: true });
+  observeAnchors(document.body);
   
   const scanner = setInterval(() => {
-    const newPins = scanVisibleImages();
-    updateState({ pinsFound: [...foundUrls] });
+    const added = [];
     
-    if (newPins === 0) {
-      noNewPinsCount++;
-      if (noNewPinsCount >= 20) {
-        // Been a while with no new pins
-        console.log(`✅ Passive scan: Found ${foundUrls.size} pins`);
-        clearInterval(scanner);
-        if (onComplete) onComplete();
+    for (const anchor of inView) {
+      const record = anchor.isConnected ? extractPin(anchor) : null;
+      if (!record) {
+        if (!anchor.isConnected) inView.delete(anchor);
+        continue;
+      }
+      
+      // Extracted once per anchor
+      inView.delete(anchor);
+      visibilityObserver.unobserve(anchor);
+      
+      const normalized = getPinHash(record.url);
+      if (!seenHashes.has(normalized)) {
+        seenHashes.add(normalized);
+        added.push(record);
       }
-    } else {
-      noNewPinsCount = 0;
     }
     
-    // Check if we hit the limit
-    if (foundUrls.size >= CONFIG.MAX_CACHE_SIZE) {
-      console.log(`✅ Hit cache limit: ${foundUrls.size} pins`);
-      clearInterval(scanner);
-      if (onComplete) onComplete();
-    }
-  }, 300);
+    if (added.length > 0) onPins(added);
+  }, CONFIG.SCAN_INTERVAL);
   
-  return scanner;
+  return () => {
+    clearInterval(scanner);
+    pageObserver.disconnect();
+    visibilityObserver.disconnect();
+    inView.clear();
+  };
 }
@@ -1,59 +1,322 @@
 // Pin@Home - Scanner Only Mode
 // Manual trigger scanner with progress reporting
+// Mounted by loader.js on board, section, profile and search pages (and re-mounted on SPA navigation)
 
 import { CONFIG } from './config.js';
-import { state, updateState } from './state.js';
+import { updateState } from './state.js';
+import { getCachedPins, reconcilePins, saveBoardMeta, saveScanReport, getScanReport, flushCache } from './cache.js';
+import {
+  generateCacheKey, extractBoardName, getParentBoardCacheKey, getProfileUsername, getSearchQuery, toSearchCacheKey
+} from './utils.js';
 import { startScanning, getBoardPinCount } from './scanner.js';
-import { createScannerIndicator, updateIndicator } from './ui/scannerIndicator.js';
+import { findRemovedPins } from './reconcile.js';
+import { collectProfileBoards, startBatch, getActiveBatch, getBatchEntry, updateBatchEntry, advanceBatch, cancelBatch } from './batchScan.js';
+import {
+  createScannerIndicator, updateIndicator, showReconcilePrompt, setIndicatorPaused, showIndicatorCancelled,
+  createBatchIndicator, renderBatchProgress, scheduleIndicatorHide, renderScanReport
+} from './ui/scannerIndicator.js';
 
-// Generate cache key from URL
-function generateCacheKey() {
-  const path = window.location.pathname.replace(/\/$/, '');
-  return CONFIG.CACHE_KEY_PREFIX + path;
+console.log('🧘 Pin@Home: Scanner loaded - waiting for user trigger');
+
+// Board the indicator was mounted for (`search` is set on search / ideas pages)
+let page = { cacheKey: '', boardName: '', parentKey: null, search: null };
+
+
+// Controller of the running scan (null when idle) and its latest pin count
+let activeScan = null;
+let activeScanCount = 0;
+
+// Incremented on every mount so a slow, outdated mount doesn't add a second indicator
+let mountId = 0;
+
+/**
+ * Show the indicator for the current page (board/section or profile)
+ * Does nothing while a scan is running.
+ */
+export async function mountScanner() {
+  if (activeScan) return;
+  const currentMount = ++mountId;
+
+  const query = getSearchQuery();
+  const username = getProfileUsername();
+  let indicator;
+  if (query) {
+    indicator = await createSearchIndicator(query);
+  } else if (username) {
+    indicator = await createProfileIndicator(username);
+  } else {
+    indicator = await createBoardIndicator();
+  }
+
+  if (currentMount !== mountId || !indicator) return;
+
+  document.getElementById('pin_at_home-indicator')?.remove();
+  document.body.appendChild(indicator);
+
+  if (indicator.classList.contains('batch')) {
+    startBatchScan();
+  }
 }
 
-// Extract board name from URL
-function extractBoardName() {
-  const path = window.location.pathname;
-  const segments = path.split('/').filter(s => s.length > 0);
-  if (segments.length >= 2) {
-    return decodeURIComponent(segments[1].replace(/-/g, ' '));
+/**
+ * Remove the indicator and stop any running scan (navigated away from the board)
+ */
+export function unmountScanner() {
+  mountId++;
+  if (activeScan) {
+    activeScan.stop();
+    activeScan = null;
   }
-  return '';
+  document.getElementById('pin_at_home-indicator')?.remove();
 }
 
-console.log('🧘 Pin@Home: Scanner loaded - waiting for user trigger');
+/**
+ * Scan the current page without user input: a "Rescan" from the new tab, injected by
+ * the background worker into a helper tab. Progress goes back as runtime messages.
+ * @param {string} cacheKey - Board the new tab asked for (echoed in every message)
+ */
+export async function runRescan(cacheKey) {
+  const send = (progress) => {
+    chrome.runtime.sendMessage({ type: 'pin_at_home-rescan-progress', cacheKey, ...progress }).catch(() => {});
+  };
+  
+  await mountScanner();
+  if (activeScan) {
+    // e.g. a batch scan: the worker still has to close the helper tab
+    send({ error: 'Already scanning' });
+    return;
+  }
+  if (page.cacheKey !== cacheKey) {
+    send({ error: 'Board not found on Pinterest' });
+    return;
+  }
+  
+  // Boards already cached only need a quick update
+  const cachedPins = await getCachedPins(cacheKey);
+  startScanProcess(cachedPins.length > 0 ? 'delta' : 'full', {
+    onProgress: ({ count, newCount, isDelta, target }) => send({ count, newCount, isDelta, target }),
+    onComplete: async (finalCount) => {
+      // The worker closes the helper tab on isDone: the last debounced pins go first
+      await flushCache();
+      send({ isDone: true, newCount: finalCount });
+    }
+  }, { pauseWhenHidden: false }); // The helper tab is never visible
+}
+
+// ============ BOARD PAGES ============
+
+async function createBoardIndicator() {
+  page = {
+    cacheKey: generateCacheKey(),
+    boardName: extractBoardName(),
+    parentKey: getParentBoardCacheKey(),
+    search: null
+  };
+  updateState({ cacheKey: page.cacheKey, boardName: page.boardName });
+
+  // Get initial target count
+  const targetCount = getBoardPinCount();
+
+  // Indicator with "Scan" button ("Quick update" if already cached)
+  const [cachedPins, batch, lastReport] = await Promise.all([
+    getCachedPins(page.cacheKey),
+    getActiveBatch(),
+    getScanReport(page.cacheKey)
+  ]);
+  const indicator = createScannerIndicator(targetCount, cachedPins.length);
+  renderScanReport(lastReport, { isPast: true, indicator });
 
-// Initialize
-const cacheKey = generateCacheKey();
-const boardName = extractBoardName();
-updateState({ cacheKey, boardName });
+  // This board is part of a running batch scan: scan it right away
+  const batchEntry = getBatchEntry(batch, window.location.pathname);
+  if (batchEntry && batchEntry.status !== 'done') {
+    indicator.classList.add('batch');
+  }
+
+  return indicator;
+}
 
-// Get initial target count
-const targetCount = getBoardPinCount();
+// ============ SEARCH PAGES ============
 
-// Create and append indicator with "Scan" button
-const indicator = createScannerIndicator(targetCount);
-document.body.appendChild(indicator);
+/**
+ * Search and ideas pages are scanned into a saved-search board keyed by the query
+ * @param {string} query - Normalized query
+ */
+async function createSearchIndicator(query) {
+  page = {
+    cacheKey: toSearchCacheKey(query),
+    boardName: query,
+    parentKey: null,
+    search: { query, url: window.location.origin + window.location.pathname + window.location.search }
+  };
+  updateState({ cacheKey: page.cacheKey, boardName: page.boardName });
+  
+  const [cachedPins, lastReport] = await Promise.all([
+    getCachedPins(page.cacheKey),
+    getScanReport(page.cacheKey)
+  ]);
+  const indicator = createScannerIndicator(null, cachedPins.length, 'Save Search');
+  renderScanReport(lastReport, { isPast: true, indicator });
+  return indicator;
+}
 
-// Handle scan button click
+// Handle scan button clicks
 document.addEventListener('click', (e) => {
   if (e.target && e.target.id === 'pin_at_home-scan-btn') {
-    startScanProcess();
+    startScanProcess('full');
+  } else if (e.target && e.target.id === 'pin_at_home-update-btn') {
+    startScanProcess('delta');
+  } else if (e.target && e.target.id === 'pin_at_home-scan-pause-btn') {
+    togglePause();
+  } else if (e.target && e.target.id === 'pin_at_home-scan-cancel-btn') {
+    cancelScan();
   }
 });
 
-function startScanProcess() {
-  console.log('🧘 Pin@Home: User started scan');
+function togglePause() {
+  if (!activeScan) return;
+  if (activeScan.isPaused()) {
+    activeScan.resume();
+  } else {
+    activeScan.pause();
+  }
+}
+
+/**
+ * Stop the running scan, keeping the pins found so far (also ends a batch scan)
+ */
+async function cancelScan() {
+  if (!activeScan) return;
+  const scan = activeScan;
+  activeScan = null;
   
+  const report = await scan.stop();
+  await cancelBatch();
+  showIndicatorCancelled(activeScanCount);
+  
+  if (report) {
+    saveScanReport(page.cacheKey, report);
+    renderScanReport(report);
+  }
+}
+
+/**
+ * @param {'full'|'delta'} mode - Full rescan or quick update
+ * @param {Object} [callbacks] - Extra progress/complete callbacks (used by batch scans and rescans)
+ * @param {Object} [options]
+ * @param {boolean} [options.pauseWhenHidden=true] - Pause while the tab is hidden
+ */
+function startScanProcess(mode, callbacks = {}, { pauseWhenHidden = true } = {}) {
+  console.log(`🧘 Pin@Home: User started ${mode === 'delta' ? 'quick update' : 'scan'}`);
+  const { cacheKey, boardName, parentKey, search } = page;
+
+  // Sections are stored as their own board, linked to the parent board
+  if (parentKey) {
+    saveBoardMeta(cacheKey, { type: 'section', parentKey });
+  }
+  
+  // Saved searches remember the page they came from, to be refreshed later
+  if (search) {
+    saveBoardMeta(cacheKey, { type: 'search', name: search.query, url: search.url });
+  }
+
   // Start scanning with progress callback
-  const stopScanning = startScanning({
+  activeScanCount = 0;
+  activeScan = startScanning({
+    mode,
+    maxPins: search ? CONFIG.SEARCH_SCAN_LIMIT : null,
+    pauseWhenHidden,
     onProgress: (progress) => {
+      activeScanCount = progress.isDelta ? progress.newCount : progress.count;
       updateIndicator(progress);
+      callbacks.onProgress?.(progress);
+    },
+    onPauseChange: (paused, { auto }) => {
+      setIndicatorPaused(paused, auto);
     },
-    onComplete: (finalCount) => {
-      console.log(`✅ Pin@Home: Cached ${finalCount} pins from "${boardName}"`);
+    onComplete: async (finalCount, summary) => {
+      activeScan = null;
+      console.log(`✅ Pin@Home: Cached ${finalCount} ${mode === 'delta' ? 'new ' : ''}pins from "${boardName}"`);
       // Final update handled by onProgress with isDone: true
+      
+      await saveScanReport(cacheKey, summary.report);
+      renderScanReport(summary.report);
+
+      if (callbacks.onComplete) {
+        callbacks.onComplete(finalCount, summary);
+        return;
+      }
+      
+      // Search results come and go - nothing to reconcile
+      if (search) return;
+
+      // Offer to clean up pins that were deleted on Pinterest
+      const removedPins = await findRemovedPins(cacheKey, summary);
+      const removedUrls = removedPins.map(pin => pin.url);
+      showReconcilePrompt(removedPins, {
+        onPurge: () => reconcilePins(cacheKey, removedUrls, 'purge'),
+        onArchive: () => reconcilePins(cacheKey, removedUrls, 'archive')
+      });
+    }
+  });
+}
+
+// ============ BATCH SCAN ============
+
+async function createProfileIndicator(username) {
+  // Profile boards render after the page shell - give them a moment
+  let boards = collectProfileBoards(username);
+  for (let attempt = 0; boards.length === 0 && attempt < 5; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    boards = collectProfileBoards(username);
+  }
+
+  if (boards.length === 0) {
+    console.log('🧘 Pin@Home: No boards found on this profile');
+    return null;
+  }
+
+  return createBatchIndicator(boards, {
+    onStart: (selected) => startBatch(username, selected)
+  });
+}
+
+/**
+ * Scan the current board as part of the batch, then move on to the next one
+ */
+async function startBatchScan() {
+  const path = window.location.pathname;
+  let batch = await updateBatchEntry(path, { status: 'scanning', count: 0 });
+  if (!batch) return;
+
+  const stopBatch = async () => {
+    await cancelScan();
+    console.log('🧘 Pin@Home: Batch scan stopped');
+  };
+
+  renderBatchProgress(batch, { onStop: stopBatch });
+
+  startScanProcess('full', {
+    onProgress: (progress) => {
+      // Live count for the current board (persisted once it's done)
+      const entry = getBatchEntry(batch, path);
+      if (entry) entry.count = progress.count;
+      renderBatchProgress(batch, { onStop: stopBatch });
+    },
+    onComplete: async (finalCount) => {
+      batch = await updateBatchEntry(path, { status: 'done', count: finalCount });
+      if (batch) renderBatchProgress(batch);
+
+      // Write this board's last pins before the next board's page replaces this one
+      await flushCache();
+      const finished = await advanceBatch();
+      if (finished) {
+        const indicator = document.getElementById('pin_at_home-indicator');
+        const textEl = indicator?.querySelector('.indicator-text');
+        const total = finished.boards.reduce((sum, entry) => sum + entry.count, 0);
+        if (textEl) textEl.textContent = `Batch done! ${finished.boards.length} boards, ${total} pins ✓`;
+        indicator?.classList.remove('batch');
+        scheduleIndicatorHide(indicator);
+      }
     }
   });
 }
@@ -20,6 +20,9 @@ export const state = {
   sidepanel: null,
   // New tab mode
   isNewTabMode: false,
+  // Video pins of the current board (image URL -> video URL)
+  pinVideos: new Map(),
+  postersOnly: false,
   // Local Sourcing
   revokeBlobUrls: null
 };
@@ -42,6 +45,7 @@ export function resetState() {
   state.browseGallery = null;
   state.sidepanel = null;
   state.isNewTabMode = false;
+  state.pinVideos = new Map();
 }
 
 /**
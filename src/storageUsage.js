@@ -0,0 +1,125 @@
+// Pin@Home - Storage Usage
+// Board sizes against the storage quota, cleanup actions and diagnostics (new tab)
+
+import { CONFIG } from './config.js';
+import { sendStorageOp } from './cache.js';
+import { getOfflineBoards, offlineCacheName } from './offline.js';
+
+/**
+ * Size of a board's offline copy, from the content-length of its images (toCachedImage()
+ * in offline.js); images are never read
+ * @param {string} cacheKey - Board cache key
+ * @returns {Promise<number>} Bytes (0 if the board has no offline copy)
+ */
+async function getOfflineCopySize(cacheKey) {
+  if (!(await caches.has(offlineCacheName(cacheKey)))) return 0;
+
+  const cache = await caches.open(offlineCacheName(cacheKey));
+  const responses = await cache.matchAll();
+  return responses.reduce((bytes, response) => bytes + (parseInt(response.headers.get('content-length')) || 0), 0);
+}
+
+/**
+ * Whether usage is past CONFIG.STORAGE_WARNING_SHARE of the quota
+ * @param {number} usage - Bytes used
+ * @param {number} quota - Bytes available to the extension
+ * @returns {boolean}
+ */
+export function isStorageLow(usage, quota) {
+  return quota > 0 && usage >= quota * CONFIG.STORAGE_WARNING_SHARE;
+}
+
+/**
+ * Get the storage used by every board, and the totals
+ * @returns {Promise<{boards: Array<{cacheKey: string, pinCount: number, bytes: number, offlineBytes: number}>,
+ *   usage: number, quota: number, details: Object|null, localBytes: number, localQuota: number, low: boolean}>}
+ *   Boards largest first; `details` is the browser's breakdown (indexedDB, caches) when it has one
+ */
+export async function getStorageUsage() {
+  const [{ boards, localBytes }, estimate, offlineBoards] = await Promise.all([
+    sendStorageOp('getStorageUsage'),
+    navigator.storage.estimate(),
+    getOfflineBoards()
+  ]);
+
+  await Promise.all(boards.map(async (board) => {
+    board.offlineBytes = offlineBoards[board.cacheKey] ? await getOfflineCopySize(board.cacheKey) : 0;
+  }));
+  boards.sort((a, b) => (b.bytes + b.offlineBytes) - (a.bytes + a.offlineBytes));
+
+  return {
+    boards,
+    usage: estimate.usage,
+    quota: estimate.quota,
+    details: estimate.usageDetails || null,
+    localBytes,
+    localQuota: chrome.storage.local.QUOTA_BYTES,
+    low: isStorageLow(estimate.usage, estimate.quota)
+  };
+}
+
+/**
+ * Get the storage diagnostics: schema version and migration history (migrations.js),
+ * and the extension's IndexedDB databases
+ * @returns {Promise<{schema: {version: number, latest: number, history: Object[], lastError?: Object},
+ *   databases: Array<{name: string, version: number}>}>}
+ */
+export async function getDiagnostics() {
+  const [schema, databases] = await Promise.all([
+    sendStorageOp('getSchema'),
+    indexedDB.databases().catch(() => [])
+  ]);
+  databases.sort((a, b) => a.name.localeCompare(b.name));
+  return { schema, databases };
+}
+
+/**
+ * Check the quota (cheap: no per-board sizes)
+ * @returns {Promise<{usage: number, quota: number, low: boolean}>}
+ */
+export async function checkStorage() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota, low: isStorageLow(usage, quota) };
+  } catch (e) {
+    console.warn('Pin@Home: Failed to check storage', e);
+    return { usage: 0, quota: 0, low: false };
+  }
+}
+
+/**
+ * Delete a board's oldest pins, keeping the newest
+ * @param {string} cacheKey - Board cache key
+ * @param {number} keep - Pins to keep
+ * @returns {Promise<number>} Pins deleted
+ */
+export function trimBoard(cacheKey, keep) {
+  return sendStorageOp('trimBoardPins', { cacheKey, keep });
+}
+
+/**
+ * Listen to storage warnings from the storage writer (almost full, or a write failed)
+ * @param {function({usage: number, quota: number, full: boolean}): void} handler
+ */
+export function onStorageWarning(handler) {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'pin_at_home-storage-warning') handler(message);
+    return false;
+  });
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string} e.g. "12.3 MB"
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
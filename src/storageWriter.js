@@ -0,0 +1,312 @@
+// Pin@Home - Storage Writer
+// Runs every storage operation as a transaction, in the background worker (see .docs/architecture.md)
+
+import { CONFIG } from './config.js';
+import { canonicalBoardPath } from './utils.js';
+import { normalizePinRecords, appendMissingPins } from './pinRecord.js';
+import {
+  getBoardPins, getBoardSummaries, getBoardSizes, addPins, updatePins, trimBoard, importBoard, deleteBoard, deleteAllBoards
+} from './pinDatabase.js';
+import { runMigrations, getSchema } from './migrations.js';
+
+// Storage key -> tail of its transaction queue
+const keyLocks = new Map();
+
+// Whole-storage transactions (migration, clear all) wait for, and block, everything
+let globalLock = Promise.resolve();
+
+// Board change listeners inside the worker (see onBoardChange)
+const boardChangeListeners = [];
+
+// Storage warnings are sent at most this often (a scan saves every few seconds)
+const STORAGE_WARNING_INTERVAL = 60000;
+let lastStorageWarning = 0;
+
+/**
+ * Run a transaction once the previous ones on the same keys are done
+ * @param {string[]|'*'} keys - Storage keys the transaction reads and writes ('*' = all)
+ * @param {function(): Promise<*>} fn - The transaction
+ * @returns {Promise<*>} Its result
+ */
+function transaction(keys, fn) {
+  if (keys === '*') {
+    const run = Promise.all([globalLock, ...keyLocks.values()]).then(fn);
+    globalLock = run.catch(() => {});
+    keyLocks.clear();
+    return run;
+  }
+
+  const previous = [globalLock, ...keys.map(key => keyLocks.get(key))].filter(Boolean);
+  const run = Promise.all(previous).then(fn);
+  const tail = run.catch(() => {});
+  keys.forEach(key => keyLocks.set(key, tail));
+
+  // Forget idle keys so the map doesn't grow with every board ever written
+  tail.then(() => keys.forEach(key => {
+    if (keyLocks.get(key) === tail) keyLocks.delete(key);
+  }));
+  return run;
+}
+
+// ============ OPERATIONS ============
+
+/**
+ * Tell open new tabs (newtab.js live updates) and worker listeners about a board change
+ * @param {Object} change - { cacheKey, added }, { cacheKey, cleared } (pins deleted) or
+ *   { cacheKey, removed } (board deleted; cacheKey null = every board)
+ */
+function notifyBoardChange(change) {
+  chrome.runtime.sendMessage({ type: 'pin_at_home-board-changed', ...change }).catch(() => {});
+  boardChangeListeners.forEach(listener => listener(change));
+}
+
+/**
+ * Listen to board changes in the worker (extension messages don't reach their own sender)
+ * Listeners run inside the transaction that made the change: they must not wait for
+ * other storage operations.
+ * @param {function(Object): void} listener - Called with { cacheKey, added }, { cacheKey, cleared }
+ *   or { cacheKey, removed }
+ */
+export function onBoardChange(listener) {
+  boardChangeListeners.push(listener);
+}
+
+/**
+ * Tell open new tabs that storage is almost (or completely) full
+ * @param {boolean} [full] - A write just failed for lack of space
+ */
+async function sendStorageWarning(full = false) {
+  if (!full && Date.now() - lastStorageWarning < STORAGE_WARNING_INTERVAL) return;
+
+  const { usage, quota } = await navigator.storage.estimate();
+  if (!full && usage < quota * CONFIG.STORAGE_WARNING_SHARE) return;
+
+  lastStorageWarning = Date.now();
+  chrome.runtime.sendMessage({ type: 'pin_at_home-storage-warning', usage, quota, full }).catch(() => {});
+}
+
+/**
+ * Add pins to a board (see addPins in pinDatabase.js)
+ * @returns {Promise<Object[]>} The pins that were new to the board
+ */
+async function savePins({ cacheKey, pins, maxSize = CONFIG.MAX_CACHE_SIZE }) {
+  const added = await addPins(cacheKey, pins, maxSize);
+  if (added.length > 0) {
+    console.log(`💾 Cache updated: ${cacheKey} +${added.length} new pins`);
+    notifyBoardChange({ cacheKey, added });
+    sendStorageWarning().catch(() => {});
+  }
+  return added;
+}
+
+/**
+ * Delete a board's oldest pins (storage cleanup)
+ * @returns {Promise<number>} Pins deleted
+ */
+async function trimBoardPins({ cacheKey, keep }) {
+  const removed = await trimBoard(cacheKey, keep);
+  console.log(`🧹 Trimmed ${cacheKey}: -${removed} oldest pins`);
+  if (removed > 0) notifyBoardChange({ cacheKey });
+  return removed;
+}
+
+/**
+ * Size of every board and of chrome.storage.local (storage dashboard)
+ * @returns {Promise<{boards: Array<{cacheKey: string, pinCount: number, bytes: number}>, localBytes: number}>}
+ */
+async function getStorageUsage() {
+  const [summaries, sizes, localBytes] = await Promise.all([
+    getBoardSummaries(),
+    getBoardSizes(),
+    chrome.storage.local.getBytesInUse(null)
+  ]);
+  return {
+    boards: summaries.map(({ cacheKey, pinCount }) => ({ cacheKey, pinCount, bytes: sizes[cacheKey] || 0 })),
+    localBytes
+  };
+}
+
+/**
+ * Remove pins from a board, or mark them as archived
+ * @returns {Promise<number>} Number of pins affected
+ */
+async function reconcilePins({ cacheKey, urls, action }) {
+  const affected = await updatePins(cacheKey, urls, action);
+  console.log(`🧹 Reconcile (${action}): ${affected} pins in ${cacheKey}`);
+  if (affected > 0) notifyBoardChange({ cacheKey });
+  return affected;
+}
+
+/**
+ * Delete a board's pins (its metadata and scan report stay, and it stays listed in sync)
+ */
+async function clearBoardPins({ cacheKey }) {
+  await deleteBoard(cacheKey);
+  notifyBoardChange({ cacheKey, cleared: true });
+}
+
+/**
+ * Restore a board from a backup (backup.js)
+ * - replace: the board becomes the backup's pins
+ * - merge: the board keeps its pins and order, pins only in the backup are added after
+ *   them, and pins in both (same image hash) get their missing metadata filled in
+ * @returns {Promise<number>} Pins on the board
+ */
+async function importBoardPins({ cacheKey, pins, mode }) {
+  const records = normalizePinRecords(pins);
+  const merged = mode === 'merge' ? appendMissingPins(await getBoardPins(cacheKey), records) : records;
+  const count = await importBoard(cacheKey, merged);
+  console.log(`📥 Imported ${cacheKey} (${mode}): ${count} pins`);
+  notifyBoardChange({ cacheKey });
+  return count;
+}
+
+/**
+ * Merge into (or remove) one entry of a map stored under a single key
+ * (board metadata, scan reports, offline boards)
+ * @param {string} storageKey - Key of the map
+ * @param {string} entryKey - Entry to update
+ * @param {Object|null} value - Value, or null to remove the entry
+ * @param {boolean} merge - Merge into the existing entry instead of replacing it
+ */
+async function updateMapEntry(storageKey, entryKey, value, merge) {
+  const result = await chrome.storage.local.get([storageKey]);
+  const map = result[storageKey] || {};
+
+  if (value) {
+    map[entryKey] = merge ? { ...map[entryKey], ...value } : value;
+  } else if (map[entryKey]) {
+    delete map[entryKey];
+  } else {
+    return; // Nothing to remove
+  }
+  await chrome.storage.local.set({ [storageKey]: map });
+}
+
+/**
+ * Delete a board with its metadata and scan report
+ */
+async function removeBoard({ cacheKey }) {
+  await deleteBoard(cacheKey);
+  notifyBoardChange({ cacheKey, removed: true });
+  await updateMapEntry(CONFIG.BOARD_META_KEY, cacheKey, null, true);
+  await updateMapEntry(CONFIG.SCAN_REPORTS_KEY, cacheKey, null, false);
+}
+
+/**
+ * Delete every board, with all metadata and scan reports
+ * @returns {Promise<number>} Number of boards deleted
+ */
+async function clearAllBoards() {
+  const count = await deleteAllBoards();
+  await chrome.storage.local.remove([CONFIG.BOARD_META_KEY, CONFIG.SCAN_REPORTS_KEY]);
+  console.log(`🧹 Cleared ${count} cache(s)`);
+  notifyBoardChange({ cacheKey: null, removed: true });
+  return count;
+}
+
+/**
+ * Shallow-merge changes into an object stored under one key (settings objects)
+ * @returns {Promise<Object>} The merged value
+ */
+async function mergeValue({ key, changes }) {
+  const result = await chrome.storage.local.get([key]);
+  const value = { ...result[key], ...changes };
+  await chrome.storage.local.set({ [key]: value });
+  return value;
+}
+
+/**
+ * Update one board of the running batch scan
+ * @returns {Promise<Object|null>} The batch queue
+ */
+async function updateBatchEntry({ path, changes }) {
+  const result = await chrome.storage.local.get([CONFIG.BATCH_QUEUE_KEY]);
+  const batch = result[CONFIG.BATCH_QUEUE_KEY] || null;
+  const key = canonicalBoardPath(path);
+  const entry = batch?.boards.find(board => canonicalBoardPath(board.path) === key);
+  if (!entry) return batch;
+
+  Object.assign(entry, changes);
+  await chrome.storage.local.set({ [CONFIG.BATCH_QUEUE_KEY]: batch });
+  return batch;
+}
+
+// ============ DISPATCH ============
+
+// Boards are only written once the schema is current: a migration that failed is retried
+// later and must not find (or roll back) pins saved in between
+let schemaCurrent = false;
+
+/**
+ * Run the pending migrations (see migrations.js)
+ * @param {Object} [options] - { fromVersion }
+ * @returns {Promise<Object>} The schema record
+ */
+async function migrate({ fromVersion } = {}) {
+  const schema = await runMigrations({ fromVersion });
+  schemaCurrent = schema.version >= schema.latest;
+  return schema;
+}
+
+// Operation name -> { keys: storage keys it locks, run: implementation, writesBoards }
+const OPERATIONS = {
+  savePins: { keys: args => [args.cacheKey], run: savePins, writesBoards: true },
+  reconcilePins: { keys: args => [args.cacheKey], run: reconcilePins, writesBoards: true },
+  clearBoardPins: { keys: args => [args.cacheKey], run: clearBoardPins, writesBoards: true },
+  removeBoard: {
+    keys: args => [args.cacheKey, CONFIG.BOARD_META_KEY, CONFIG.SCAN_REPORTS_KEY],
+    run: removeBoard,
+    writesBoards: true
+  },
+  clearAllBoards: { keys: () => '*', run: clearAllBoards, writesBoards: true },
+  importBoardPins: { keys: args => [args.cacheKey], run: importBoardPins, writesBoards: true },
+  trimBoardPins: { keys: args => [args.cacheKey], run: trimBoardPins, writesBoards: true },
+  updateBoardMeta: {
+    keys: () => [CONFIG.BOARD_META_KEY],
+    run: ({ cacheKey, meta }) => updateMapEntry(CONFIG.BOARD_META_KEY, cacheKey, meta, true)
+  },
+  updateScanReport: {
+    keys: () => [CONFIG.SCAN_REPORTS_KEY],
+    run: ({ cacheKey, report }) => updateMapEntry(CONFIG.SCAN_REPORTS_KEY, cacheKey, report, false)
+  },
+  updateBatchEntry: { keys: () => [CONFIG.BATCH_QUEUE_KEY], run: updateBatchEntry },
+  updateOfflineBoard: {
+    keys: () => [CONFIG.OFFLINE_BOARDS_KEY],
+    run: ({ cacheKey, entry }) => updateMapEntry(CONFIG.OFFLINE_BOARDS_KEY, cacheKey, entry, true)
+  },
+  mergeValue: { keys: args => [args.key], run: mergeValue },
+  setValues: { keys: args => Object.keys(args.items), run: ({ items }) => chrome.storage.local.set(items) },
+  removeValues: { keys: args => args.keys, run: ({ keys }) => chrome.storage.local.remove(keys) },
+  migrateStorage: { keys: () => '*', run: migrate },
+
+  // Reads of the pin database (queued behind writes to the same board)
+  getBoardPins: { keys: args => [args.cacheKey], run: ({ cacheKey }) => getBoardPins(cacheKey) },
+  listBoards: { keys: () => [], run: getBoardSummaries },
+  getStorageUsage: { keys: () => [], run: getStorageUsage },
+  getSchema: { keys: () => [], run: getSchema }
+};
+
+// Migrate before serving the first operation (every operation waits for the global lock)
+transaction('*', () => migrate())
+  .catch(e => console.warn('Pin@Home: Storage migration failed', e));
+
+/**
+ * Run a storage operation in its transaction
+ * @param {string} op - Operation name (a key of OPERATIONS)
+ * @param {Object} [args] - Operation arguments
+ * @returns {Promise<*>} Operation result
+ */
+export function runStorageOp(op, args = {}) {
+  const operation = OPERATIONS[op];
+  if (!operation) return Promise.reject(new Error(`Unknown storage operation "${op}"`));
+  return transaction(operation.keys(args), () => {
+    if (operation.writesBoards && !schemaCurrent) {
+      throw new Error('Storage upgrade failed - pins are not saved until it succeeds');
+    }
+    return operation.run(args);
+  }).catch(e => {
+    if (e?.name === 'QuotaExceededError') sendStorageWarning(true).catch(() => {});
+    throw e;
+  });
+}
@@ -0,0 +1,254 @@
+// Pin@Home - Sync Across Devices
+// Shares the board list and settings through chrome.storage.sync (background worker)
+
+import { CONFIG } from './config.js';
+import { canonicalBoardPath } from './utils.js';
+import { runStorageOp, onBoardChange } from './storageWriter.js';
+
+// Settings shared across devices (same key in chrome.storage.local and chrome.storage.sync)
+const SYNCED_SETTINGS_KEYS = [CONFIG.SETTINGS_KEY, CONFIG.PASSIVE_CAPTURE_KEY];
+
+// chrome.storage.sync allows 120 writes a minute: settings (e.g. the speed slider) are
+// pushed once they stop changing
+const PUSH_DELAY = 1000;
+const pushTimers = new Map();
+
+// chrome.storage.sync holds QUOTA_BYTES (100 KB): boards leave this much for the settings
+const SETTINGS_RESERVE = 8 * 1024;
+
+// Boards added per write when seeding (each write counts towards the 120 a minute)
+const SEED_BATCH = 50;
+
+/**
+ * Compare two stored values (key order aside)
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * chrome.storage.sync key of a board
+ * @param {string} cacheKey - Board cache key
+ * @returns {string}
+ */
+function syncKey(cacheKey) {
+  return CONFIG.SYNC_BOARD_PREFIX + cacheKey.slice(CONFIG.CACHE_KEY_PREFIX.length);
+}
+
+/**
+ * Whether a board is shared across devices
+ * @param {string} cacheKey - Board cache key
+ * @param {Object} [meta] - Board metadata
+ * @returns {boolean}
+ */
+function isSyncable(cacheKey, meta) {
+  if (!cacheKey?.startsWith(CONFIG.CACHE_KEY_PREFIX) || meta?.type === 'collection') return false;
+  const path = canonicalBoardPath(cacheKey.slice(CONFIG.CACHE_KEY_PREFIX.length));
+  return path !== CONFIG.SEEN_BOARD_PATH && !path.startsWith(`/${CONFIG.COLLECTIONS_PATH}/`);
+}
+
+async function getAllBoardMeta() {
+  const result = await chrome.storage.local.get([CONFIG.BOARD_META_KEY]);
+  return result[CONFIG.BOARD_META_KEY] || {};
+}
+
+/**
+ * Size of an item, as chrome.storage.sync counts it
+ * @param {string} key
+ * @param {*} value
+ * @returns {number}
+ */
+function itemBytes(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+/**
+ * Room left for boards in chrome.storage.sync (item count and bytes)
+ * @returns {Promise<{slots: number, bytes: number}>}
+ */
+async function getFreeRoom() {
+  const [items, bytesInUse] = await Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.sync.getBytesInUse(null)
+  ]);
+  const count = Object.keys(items).filter(key => key.startsWith(CONFIG.SYNC_BOARD_PREFIX)).length;
+  const settingsBytes = SYNCED_SETTINGS_KEYS.filter(key => key in items)
+    .reduce((total, key) => total + itemBytes(key, items[key]), 0);
+  const reserve = Math.max(SETTINGS_RESERVE - settingsBytes, 0);
+
+  return {
+    slots: Math.max(CONFIG.SYNC_MAX_BOARDS - count, 0),
+    bytes: Math.max(chrome.storage.sync.QUOTA_BYTES - bytesInUse - reserve, 0)
+  };
+}
+
+/**
+ * Whether an item fits in the room left (taking it from the room if so)
+ * @param {{slots: number, bytes: number}} room - From getFreeRoom()
+ * @param {number} size - Item size (itemBytes)
+ * @returns {boolean}
+ */
+function takeRoom(room, size) {
+  if (room.slots === 0 || size > room.bytes) return false;
+  room.slots--;
+  room.bytes -= size;
+  return true;
+}
+
+// ============ BOARDS ============
+
+/**
+ * Add a board to the synced list, or update its metadata there
+ * @param {string} cacheKey - Board cache key
+ * @param {Object} meta - Board metadata (CONFIG.BOARD_META_KEY entry)
+ * @param {boolean} [onlyIfListed] - Only update a board already in the list
+ */
+async function pushBoard(cacheKey, meta, onlyIfListed = false) {
+  if (!isSyncable(cacheKey, meta)) return;
+
+  const key = syncKey(cacheKey);
+  const result = await chrome.storage.sync.get([key]);
+  if (key in result) {
+    if (isEqual(result[key], meta)) return;
+  } else {
+    if (onlyIfListed) return;
+    if (!takeRoom(await getFreeRoom(), itemBytes(key, meta))) {
+      console.warn(`Pin@Home: chrome.storage.sync is full - ${cacheKey} stays on this device`);
+      return;
+    }
+  }
+  await chrome.storage.sync.set({ [key]: meta });
+}
+
+/**
+ * Add the boards of this device to the synced list (once, a few writes of SEED_BATCH
+ * boards, as many as fit)
+ * A write that fails stops the seeding: the next start adds the boards still missing.
+ */
+async function seedBoards() {
+  const flags = await chrome.storage.local.get([CONFIG.SYNC_SEEDED_FLAG]);
+  if (flags[CONFIG.SYNC_SEEDED_FLAG]) return;
+
+  const [summaries, allMeta, synced] = await Promise.all([
+    runStorageOp('listBoards'),
+    getAllBoardMeta(),
+    chrome.storage.sync.get(null)
+  ]);
+
+  const items = {};
+  for (const { cacheKey, pinCount } of summaries) {
+    const meta = allMeta[cacheKey] || {};
+    if (pinCount > 0 && isSyncable(cacheKey, meta) && !(syncKey(cacheKey) in synced)) {
+      items[syncKey(cacheKey)] = meta;
+    }
+  }
+
+  const room = await getFreeRoom();
+  const entries = Object.entries(items).filter(([key, meta]) => takeRoom(room, itemBytes(key, meta)));
+  for (let i = 0; i < entries.length; i += SEED_BATCH) {
+    await chrome.storage.sync.set(Object.fromEntries(entries.slice(i, i + SEED_BATCH)));
+  }
+  await runStorageOp('setValues', { items: { [CONFIG.SYNC_SEEDED_FLAG]: true } });
+
+  const skipped = Object.keys(items).length - entries.length;
+  if (skipped > 0) {
+    console.warn(`Pin@Home: chrome.storage.sync is full - ${skipped} board(s) stay on this device`);
+  }
+  console.log(`☁️ Pin@Home: Sync - ${entries.length} board(s) shared`);
+}
+
+// Boards get pins (listed), or are deleted (unlisted) - clearing a board's pins and
+// "clear all" (cacheKey null) stay on this device
+onBoardChange(({ cacheKey, removed, cleared }) => {
+  if (cleared || !isSyncable(cacheKey)) return;
+
+  const done = removed
+    ? chrome.storage.sync.remove(syncKey(cacheKey))
+    : getAllBoardMeta().then(allMeta => pushBoard(cacheKey, allMeta[cacheKey] || {}));
+  done.catch(e => console.warn('Pin@Home: Failed to sync the board list', e));
+});
+
+// ============ SETTINGS ============
+
+/**
+ * Whether a settings object is newer than another (by `updatedAt`; a missing one is older)
+ * @param {Object} [value]
+ * @param {Object} [other]
+ * @returns {boolean}
+ */
+function isNewer(value, other) {
+  if (value === undefined) return false;
+  return other === undefined || (value.updatedAt || 0) > (other.updatedAt || 0);
+}
+
+/**
+ * Push a local setting to chrome.storage.sync if it is newer than the synced one
+ * @param {string} key - Setting key
+ */
+async function pushSetting(key) {
+  const [local, synced] = await Promise.all([
+    chrome.storage.local.get([key]),
+    chrome.storage.sync.get([key])
+  ]);
+  if (!isNewer(local[key], synced[key])) return;
+  await chrome.storage.sync.set({ [key]: local[key] });
+}
+
+/**
+ * Apply a setting changed on another device, if it is newer than the local one
+ * @param {string} key - Setting key
+ * @param {Object} value - Synced value
+ */
+async function pullSetting(key, value) {
+  const local = await chrome.storage.local.get([key]);
+  if (!isNewer(value, local[key])) return;
+  await runStorageOp('setValues', { items: { [key]: value } });
+}
+
+function schedulePush(key) {
+  clearTimeout(pushTimers.get(key));
+  pushTimers.set(key, setTimeout(() => {
+    pushTimers.delete(key);
+    pushSetting(key).catch(e => console.warn(`Pin@Home: Failed to sync ${key}`, e));
+  }, PUSH_DELAY));
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  for (const key of SYNCED_SETTINGS_KEYS.filter(k => changes[k])) {
+    if (areaName === 'local') {
+      schedulePush(key);
+    } else if (areaName === 'sync' && changes[key].newValue !== undefined) {
+      pullSetting(key, changes[key].newValue).catch(e => console.warn(`Pin@Home: Failed to apply synced ${key}`, e));
+    }
+  }
+
+  // Board names, search URLs and section links of listed boards
+  if (areaName === 'local' && changes[CONFIG.BOARD_META_KEY]) {
+    const before = changes[CONFIG.BOARD_META_KEY].oldValue || {};
+    for (const [cacheKey, meta] of Object.entries(changes[CONFIG.BOARD_META_KEY].newValue || {})) {
+      if (isEqual(before[cacheKey], meta)) continue;
+      pushBoard(cacheKey, meta, true).catch(e => console.warn('Pin@Home: Failed to sync board metadata', e));
+    }
+  }
+});
+
+/**
+ * Start syncing: settings changed while the worker was stopped go whichever way is
+ * newer, then this device's boards are listed the first time
+ * Waits for the storage migrations (every storage operation does).
+ */
+export async function startSync() {
+  await runStorageOp('getSchema');
+
+  const synced = await chrome.storage.sync.get(SYNCED_SETTINGS_KEYS);
+  for (const key of SYNCED_SETTINGS_KEYS) {
+    if (key in synced) await pullSetting(key, synced[key]);
+    await pushSetting(key);
+  }
+
+  await seedBoards();
+}
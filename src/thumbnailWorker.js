@@ -0,0 +1,140 @@
+// Pin@Home - Thumbnail Worker
+// Makes WebP column thumbnails and keeps them in IndexedDB (see .docs/architecture.md)
+
+import { CONFIG } from './config.js';
+import { getImageCandidates } from './utils/imageResolution.js';
+
+const DB_NAME = 'PinAtHomeThumbnails';
+const STORE_NAME = 'thumbnails';
+const DB_VERSION = 1;
+
+// Check the store size every this many new thumbnails
+const TRIM_EVERY = 100;
+let writesSinceTrim = 0;
+
+let dbPromise = null;
+
+/**
+ * Open the IndexedDB database (once per worker)
+ */
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => {
+        dbPromise = null;
+        reject(event.target.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function readThumbnail(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).get(key);
+    request.onsuccess = () => resolve(request.result?.blob || null);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+async function storeThumbnail(key, blob) {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    transaction.objectStore(STORE_NAME).put({ key, blob, createdAt: Date.now() });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+
+  if (++writesSinceTrim >= TRIM_EVERY) {
+    writesSinceTrim = 0;
+    await trimThumbnails(db);
+  }
+}
+
+/**
+ * Delete the oldest thumbnails past CONFIG.THUMBNAIL_CACHE_MAX
+ * @param {IDBDatabase} db
+ */
+function trimThumbnails(db) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const countRequest = store.count();
+
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - CONFIG.THUMBNAIL_CACHE_MAX;
+      if (excess <= 0) return;
+
+      const cursorRequest = store.index('createdAt').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Download a pinimg image at column size (stepping down through the fallback sizes)
+ * @param {string} url - Stored image URL
+ * @returns {Promise<Blob>}
+ */
+async function fetchSource(url) {
+  for (const candidate of getImageCandidates(url, 'column')) {
+    const response = await fetch(candidate);
+    if (response.ok) return response.blob();
+  }
+  throw new Error(`Image not found: ${url}`);
+}
+
+/**
+ * Downscale an image to CONFIG.THUMBNAIL_WIDTH (never upscaled) and encode it as WebP
+ * @param {Blob} source - Full image
+ * @returns {Promise<Blob>}
+ */
+async function createThumbnail(source) {
+  const bitmap = await createImageBitmap(source);
+  const scale = Math.min(1, CONFIG.THUMBNAIL_WIDTH / bitmap.width);
+  const canvas = new OffscreenCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return canvas.convertToBlob({ type: 'image/webp', quality: CONFIG.THUMBNAIL_QUALITY });
+}
+
+async function getThumbnail({ key, url, blob }) {
+  const stored = await readThumbnail(key);
+  if (stored) return stored;
+
+  const thumbnail = await createThumbnail(blob || await fetchSource(url));
+  await storeThumbnail(key, thumbnail);
+  return thumbnail;
+}
+
+self.onmessage = async (event) => {
+  const { id } = event.data;
+  try {
+    self.postMessage({ id, blob: await getThumbnail(event.data) });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
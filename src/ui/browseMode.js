@@ -4,6 +4,7 @@
 import { CONFIG } from '../config.js';
 import { state, updateState } from '../state.js';
 import { openFullscreenViewer } from './fullscreenViewer.js';
+import { applyThumbnailSource } from '../utils/thumbnails.js';
 import { toggleImageSelection, updateSelectionOrder } from './selection.js';
 import { createSidepanel, updateSidepanel, setExitBrowseModeRef } from './sidepanel.js';
 import { setScrollPaused, isManuallyPaused, getPinCountLimit, setPinCountLimit } from './grid.js';
@@ -251,9 +252,9 @@ export function renderBrowseGrid() {
     }
     
     const img = document.createElement('img');
-    img.src = url;
     img.alt = `Pin ${index + 1}`;
     img.loading = 'lazy';
+    applyThumbnailSource(img, url, 'column');
     
     const orderBadge = document.createElement('span');
     orderBadge.className = 'selection-order';
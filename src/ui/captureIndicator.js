@@ -0,0 +1,43 @@
+// Pin@Home - Capture Indicator
+// Small pill (bottom-left of Pinterest pages) shown while passive capture is enabled
+
+/**
+ * Create the capture indicator
+ * @param {function(): void} onToggleDomain - Turn capture on/off for this Pinterest domain
+ * @returns {HTMLElement}
+ */
+export function createCaptureIndicator(onToggleDomain) {
+  const indicator = document.createElement('div');
+  indicator.id = 'pin_at_home-capture-indicator';
+  indicator.innerHTML = `
+    <span class="capture-dot"></span>
+    <span class="capture-text"></span>
+    <button class="capture-toggle"></button>
+  `;
+  indicator.querySelector('.capture-toggle').onclick = (e) => {
+    e.stopPropagation();
+    onToggleDomain();
+  };
+  return indicator;
+}
+
+/**
+ * Show whether capture is running on this domain and how many pins it saved
+ * @param {HTMLElement} indicator
+ * @param {Object} status
+ * @param {boolean} status.active - Capturing on this domain
+ * @param {string} status.domain - Pinterest domain (e.g. pinterest.es)
+ * @param {number} [status.count] - Pins captured on this page so far
+ */
+export function updateCaptureIndicator(indicator, { active, domain, count = 0 }) {
+  indicator.classList.toggle('active', active);
+  indicator.querySelector('.capture-text').textContent = active
+    ? `Capturing${count > 0 ? ` · ${count}` : ''}`
+    : `Capture off on ${domain}`;
+  
+  const toggle = indicator.querySelector('.capture-toggle');
+  toggle.textContent = active ? 'Off here' : 'On here';
+  toggle.title = active
+    ? `Stop adding pins you scroll past on ${domain} to "Seen on Pinterest"`
+    : `Add pins you scroll past on ${domain} to "Seen on Pinterest"`;
+}
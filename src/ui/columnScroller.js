@@ -3,7 +3,8 @@
 import { calculateItemPositions } from './scroll/LayoutCalculator.js';
 import { ItemManager } from './scroll/ItemManager.js';
 import { Recycler } from './scroll/Recycler.js';
-import { createPinElement } from './scroll/DOMFactory.js';
+import { createPinElement, getPinImageContext } from './scroll/DOMFactory.js';
+import { applyThumbnailSource } from '../utils/thumbnails.js';
 
 const LOADING_CONFIG = {
   maxLoading: 3,
@@ -79,12 +80,11 @@ export class ColumnScroller {
       this.itemManager.markReady(item, height);
     };
     
-    img.onerror = () => {
+    // Thumbnail for the columns; full image at small size, stepping down, if it fails
+    applyThumbnailSource(img, url, getPinImageContext(url), () => {
       item.element.remove();
       this.itemManager.removeItem(item);
-    };
-    
-    img.src = url;
+    });
   }
   
   revealImage(item) {
@@ -102,6 +102,15 @@ export class ColumnScroller {
     }
   }
   
+  /**
+   * Queue more images at the end of the column (pins saved while it is running)
+   * @param {string[]} urls - Image URLs
+   */
+  appendUrls(urls) {
+    this.imageUrls.push(...urls);
+    this.isDoneLoading = false;
+  }
+  
   // === Budget-controlled methods (called from grid.js) ===
   
   needsCreate() {
@@ -144,7 +153,7 @@ export class ColumnScroller {
    */
   addClonedImage(url, height) {
     const { element, img } = createPinElement(url);
-    img.src = url; // already cached, loads instantly
+    applyThumbnailSource(img, url, getPinImageContext(url)); // already cached, loads instantly
     
     const localTop = this.itemManager.nextLocalTop;
     element.style.cssText = `position: absolute; left: 0; right: 0; height: ${height}px; top: ${localTop}px; visibility: visible;`;
@@ -2,6 +2,7 @@
 // Handles fullscreen image viewing with zoom and pan
 
 import { state, updateState } from '../state.js';
+import { applyImageSource, getImageUrl } from '../utils/imageResolution.js';
 
 /**
  * Create fullscreen image viewer element
@@ -17,6 +18,19 @@ function createFullscreenViewer() {
   img.className = 'pin_at_home-fullscreen-image';
   img.alt = 'Fullscreen pin';
   
+  // Video pins play here (muted, looped) instead of the still image
+  const video = document.createElement('video');
+  video.className = 'pin_at_home-fullscreen-image pin_at_home-fullscreen-video';
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.style.display = 'none';
+  video.onerror = () => {
+    // Unplayable video: show the still image instead
+    stopViewerVideo(video);
+    img.style.display = '';
+  };
+  
   const closeBtn = document.createElement('button');
   closeBtn.className = 'pin_at_home-fullscreen-close';
   closeBtn.innerHTML = '×';
@@ -26,6 +40,7 @@ function createFullscreenViewer() {
   };
   
   container.appendChild(img);
+  container.appendChild(video);
   viewer.appendChild(container);
   viewer.appendChild(closeBtn);
   
@@ -45,7 +60,18 @@ function createFullscreenViewer() {
   
   document.body.appendChild(viewer);
   
-  updateState({ fullscreenViewer: viewer, fullscreenImage: img });
+  updateState({ fullscreenViewer: viewer, fullscreenImage: img, fullscreenVideo: video });
+}
+
+/**
+ * Stop and hide the viewer's video
+ * @param {HTMLVideoElement} video - Viewer video element
+ */
+function stopViewerVideo(video) {
+  video.pause();
+  video.removeAttribute('src');
+  video.load(); // Release the media resource
+  video.style.display = 'none';
 }
 
 /**
@@ -58,7 +84,20 @@ export function openFullscreenViewer(imageUrl) {
   }
   
   const img = state.fullscreenImage;
-  img.src = imageUrl;
+  applyImageSource(img, imageUrl, 'viewer'); // Originals, falling back to smaller sizes
+  
+  const video = state.fullscreenVideo;
+  const videoUrl = state.pinVideos.get(imageUrl);
+  if (videoUrl) {
+    video.poster = getImageUrl(imageUrl, 'viewer');
+    video.src = videoUrl;
+    video.style.display = '';
+    img.style.display = 'none';
+    video.play().catch(() => {});
+  } else {
+    stopViewerVideo(video);
+    img.style.display = '';
+  }
   
   // Reset zoom state
   let scale = 1;
@@ -211,6 +250,8 @@ export function closeFullscreenViewer() {
   
   setTimeout(() => {
     state.fullscreenViewer.style.display = 'none';
+    img.onerror = null; // Clearing src fires an error - don't fall back
     img.src = '';
+    if (state.fullscreenVideo) stopViewerVideo(state.fullscreenVideo);
   }, 300);
 }
@@ -78,6 +78,28 @@ export async function renderPins() {
   }
 }
 
+/**
+ * Feed new pins into the running columns without a re-render
+ * Each pin goes to the column with the fewest images; the pin count limit still applies.
+ * @param {string[]} urls - Image URLs new to the board
+ * @returns {boolean} False if no columns are running (render instead)
+ */
+export function appendPins(urls) {
+  if (columnScrollers.length === 0) return false;
+  
+  let room = Infinity;
+  if (pinCountLimit !== 'all') {
+    const shown = columnScrollers.reduce((sum, s) => sum + s.imageUrls.length, 0);
+    room = Math.max(parseInt(pinCountLimit, 10) - shown, 0);
+  }
+  
+  for (const url of urls.slice(0, room)) {
+    const scroller = columnScrollers.reduce((a, b) => (b.imageUrls.length < a.imageUrls.length ? b : a));
+    scroller.appendUrls([url]);
+  }
+  return true;
+}
+
 export function isAllStable() {
   return columnScrollers.length > 0 && columnScrollers.every(s => s.isStable);
 }
@@ -1,16 +1,43 @@
 import { toggleBrowseMode } from '../browseMode.js';
 import { deleteBoardCache, getUnifiedBoards } from '../../cache.js';
 import { saveDirectoryHandle } from '../../utils/localFolderManager.js';
+import { registerLocalImage, releaseThumbnails } from '../../utils/thumbnails.js';
 import { state, updateState } from '../../state.js';
 import { renderPins } from '../grid.js';
 
+// Icon shown instead of the pin count for special board types
+const BOARD_TYPE_ICONS = {
+  collection: '📌',
+  search: '🔍',
+  seen: '👁️'
+};
+
+// Regular boards listed in the menu (special boards and synced boards not yet scanned always are)
+const MAX_LISTED_BOARDS = 10;
+
 // Callbacks set by parent
 let onBoardSwitch = null;
 let onBoardDeleted = null;
+let onBoardRescan = null;
+let onBoardOffline = null;
+let onBackupExport = null;
+let onBackupImport = null;
+let onStorageOpen = null;
+
+// Rescans running from this page (cacheKey -> status text), kept across menu rebuilds
+const rescanStatus = new Map();
 
-export function setBoardMenuCallbacks({ onSwitch, onDeleted }) {
+// Boards saved for offline use (cacheKey -> { status, saved, total }), kept across menu rebuilds
+const offlineStatus = new Map();
+
+export function setBoardMenuCallbacks({ onSwitch, onDeleted, onRescan, onOffline, onExport, onImport, onStorage }) {
   onBoardSwitch = onSwitch;
   onBoardDeleted = onDeleted;
+  onBoardRescan = onRescan;
+  onBoardOffline = onOffline;
+  onBackupExport = onExport;
+  onBackupImport = onImport;
+  onStorageOpen = onStorage;
 }
 
 export function createBoardMenu(boards, currentBoard) {
@@ -35,6 +62,9 @@ export function createBoardMenu(boards, currentBoard) {
   
   items.appendChild(createLinkLocalFolderButton());
   items.appendChild(createBrowseButton());
+  items.appendChild(createExportAllButton());
+  items.appendChild(createImportButton());
+  items.appendChild(createStorageButton());
   
   menu.appendChild(title);
   menu.appendChild(items);
@@ -50,31 +80,51 @@ function createBoardList(boards, currentBoard) {
   label.textContent = 'Boards';
   fragment.appendChild(label);
   
-  boards.slice(0, 10).forEach(board => {
+  nestSections(boards).forEach(({ board, isNested }) => {
     const row = document.createElement('div');
     row.className = 'pin_at_home-board-row';
+    if (isNested) row.classList.add('section');
     
     const btn = document.createElement('button');
     btn.className = 'pin_at_home-menu-btn board-item';
+    btn.dataset.cacheKey = board.cacheKey;
     if (board.cacheKey === currentBoard.cacheKey) btn.classList.add('active');
     
     if (board.type === 'local' || board.cacheKey.startsWith('local_')) {
-      const folderIcon = '📁 ';
-      btn.innerHTML = `<span class="pin-count">${folderIcon}</span> ${board.boardName}`;
+      setBoardLabel(btn, '📁 ', board.boardName);
+    } else if (board.notScanned) {
+      // Synced from another device: no pins on this one yet
+      btn.classList.add('not-scanned');
+      setBoardLabel(btn, '☁️', capitalizeWords(board.boardName));
+      btn.title = 'Not yet scanned on this device - click to scan it';
+    } else if (BOARD_TYPE_ICONS[board.type]) {
+      setBoardLabel(btn, BOARD_TYPE_ICONS[board.type], capitalizeWords(board.boardName));
+      btn.title = `${board.imageCount} pins`;
     } else {
       const count = board.imageCount > 999 ? '999+' : board.imageCount;
-      btn.innerHTML = `<span class="pin-count">${count}</span> ${capitalizeWords(board.boardName)}`;
+      // Sections whose parent board isn't cached show the parent name for context
+      const name = board.parentKey && !isNested
+        ? `${capitalizeWords(board.parentName)} › ${capitalizeWords(board.boardName)}`
+        : capitalizeWords(board.boardName);
+      setBoardLabel(btn, count, name);
     }
-    btn.onclick = () => onBoardSwitch?.(board, boards);
+    btn.onclick = () => {
+      onBoardSwitch?.(board, boards);
+      // One click scans a synced board (its pins show up as they come in)
+      if (board.notScanned && !rescanStatus.has(board.cacheKey)) onBoardRescan?.(board);
+    };
     
     // Delete button
     const delBtn = document.createElement('button');
     delBtn.className = 'pin_at_home-delete-btn';
     delBtn.innerHTML = '🗑️';
-    delBtn.title = 'Delete cache';
+    delBtn.title = board.notScanned ? 'Remove from synced boards' : 'Delete cache';
     delBtn.onclick = async (e) => {
       e.stopPropagation();
-      if (confirm(`Delete "${board.boardName}"?`)) {
+      const question = board.notScanned
+        ? `Remove "${board.boardName}" from your synced boards on every device?`
+        : `Delete "${board.boardName}"?${board.url ? '\n\nIt also leaves the board list of your other devices (their pins stay).' : ''}`;
+      if (confirm(question)) {
         await deleteBoardCache(board.cacheKey);
         const updatedBoards = await getUnifiedBoards();
         onBoardDeleted?.(board, updatedBoards, currentBoard);
@@ -82,6 +132,11 @@ function createBoardList(boards, currentBoard) {
     };
     
     row.appendChild(btn);
+    if (board.url) row.appendChild(createRescanButton(board));
+    if (board.type !== 'local' && !board.cacheKey.startsWith('local_') && !board.notScanned) {
+      row.appendChild(createOfflineButton(board));
+      row.appendChild(createExportButton(board));
+    }
     row.appendChild(delBtn);
     fragment.appendChild(row);
   });
@@ -89,6 +144,174 @@ function createBoardList(boards, currentBoard) {
   return fragment;
 }
 
+/**
+ * Fill a board button: its badge (pin count or icon), then its name as plain text
+ * (names come from Pinterest pages and folders, they are never parsed as HTML)
+ * @param {HTMLElement} btn
+ * @param {string|number} badge
+ * @param {string} name
+ */
+function setBoardLabel(btn, badge, name) {
+  const badgeEl = document.createElement('span');
+  badgeEl.className = 'pin-count';
+  badgeEl.textContent = badge;
+  btn.replaceChildren(badgeEl, ` ${name}`);
+}
+
+/**
+ * Rescan button: refreshes the board from Pinterest in a background tab
+ * (shows the rescan progress while it runs)
+ * @param {Object} board - Board with a Pinterest `url`
+ */
+function createRescanButton(board) {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-delete-btn pin_at_home-rescan-btn';
+  btn.dataset.cacheKey = board.cacheKey;
+  btn.title = 'Rescan on Pinterest (in a background tab)';
+  renderRescanStatus(btn);
+  btn.onclick = (e) => {
+    e.stopPropagation();
+    if (!rescanStatus.has(board.cacheKey)) onBoardRescan?.(board);
+  };
+  return btn;
+}
+
+function renderRescanStatus(btn) {
+  const status = rescanStatus.get(btn.dataset.cacheKey);
+  btn.textContent = status || '🔄';
+  btn.classList.toggle('rescanning', !!status);
+}
+
+/**
+ * Show a running rescan on its board row
+ * @param {string} cacheKey - Board cache key
+ * @param {string|null} status - Short progress text, or null once the rescan is over
+ */
+export function setRescanStatus(cacheKey, status) {
+  if (status) {
+    rescanStatus.set(cacheKey, status);
+  } else {
+    rescanStatus.delete(cacheKey);
+  }
+  document.querySelectorAll('.pin_at_home-rescan-btn').forEach(btn => {
+    if (btn.dataset.cacheKey === cacheKey) renderRescanStatus(btn);
+  });
+}
+
+/**
+ * Offline button: saves the board's images so it works without a connection
+ * (shows the download progress, then ✈️ once saved)
+ * @param {Object} board - Pinterest board
+ */
+function createOfflineButton(board) {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-delete-btn pin_at_home-offline-btn';
+  btn.dataset.cacheKey = board.cacheKey;
+  renderOfflineStatus(btn);
+  btn.onclick = (e) => {
+    e.stopPropagation();
+    if (!offlineStatus.has(board.cacheKey)) {
+      onBoardOffline?.(board, true);
+    } else if (confirm(`Remove the offline copy of "${board.boardName}"?`)) {
+      onBoardOffline?.(board, false);
+    }
+  };
+  return btn;
+}
+
+function renderOfflineStatus(btn) {
+  const entry = offlineStatus.get(btn.dataset.cacheKey);
+  const progress = entry?.total ? `${entry.saved}/${entry.total} images` : '';
+  
+  let text = '⬇️';
+  let title = 'Make available offline';
+  if (entry?.status === 'downloading') {
+    text = entry.total ? `${Math.floor((entry.saved / entry.total) * 100)}%` : '…';
+    title = `Saving for offline use: ${progress}`;
+  } else if (entry?.status === 'paused') {
+    text = '⏸️';
+    title = `Offline download paused (no connection): ${progress}. Resumes when Pinterest is reachable`;
+  } else if (entry?.status === 'full') {
+    text = '⚠️';
+    title = `Not enough storage to save this board offline: ${progress}`;
+  } else if (entry) {
+    text = '✈️';
+    title = `Available offline (${progress}) - click to remove the offline copy`;
+  }
+  
+  btn.textContent = text;
+  btn.title = title;
+  btn.classList.toggle('offline', !!entry);
+}
+
+/**
+ * Show a board's offline state on its menu row
+ * @param {string} cacheKey - Board cache key
+ * @param {Object|null} entry - Progress fields ({ status, saved, total }), merged into the
+ *   known state; null once the offline copy is deleted
+ */
+export function setOfflineStatus(cacheKey, entry) {
+  if (entry) {
+    offlineStatus.set(cacheKey, { ...offlineStatus.get(cacheKey), ...entry });
+  } else {
+    offlineStatus.delete(cacheKey);
+  }
+  document.querySelectorAll('.pin_at_home-offline-btn').forEach(btn => {
+    if (btn.dataset.cacheKey === cacheKey) renderOfflineStatus(btn);
+  });
+}
+
+/**
+ * Export button: saves the board to a backup file (shows the export progress)
+ * @param {Object} board - Pinterest board
+ */
+function createExportButton(board) {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-delete-btn pin_at_home-export-btn';
+  btn.textContent = '📤';
+  btn.title = 'Export to a backup file';
+  btn.onclick = (e) => {
+    e.stopPropagation();
+    if (btn.classList.contains('exporting')) return;
+    onBackupExport?.(board, (status) => {
+      btn.textContent = status || '📤';
+      btn.classList.toggle('exporting', !!status);
+    });
+  };
+  return btn;
+}
+
+/**
+ * Order boards so each section follows its parent board (top MAX_LISTED_BOARDS regular
+ * boards only: collections, saved searches, "Seen" and boards not yet scanned are
+ * always listed). Sections whose parent board isn't cached are listed as regular boards.
+ * @returns {Array<{board: Object, isNested: boolean}>}
+ */
+function nestSections(boards) {
+  const cachedKeys = new Set(boards.map(board => board.cacheKey));
+  const sectionsByParent = new Map();
+  const topLevel = [];
+  
+  boards.forEach(board => {
+    if (board.parentKey && cachedKeys.has(board.parentKey)) {
+      if (!sectionsByParent.has(board.parentKey)) sectionsByParent.set(board.parentKey, []);
+      sectionsByParent.get(board.parentKey).push(board);
+    } else {
+      topLevel.push(board);
+    }
+  });
+  
+  let regularCount = 0;
+  const listed = topLevel.filter(board => {
+    return board.notScanned || BOARD_TYPE_ICONS[board.type] || regularCount++ < MAX_LISTED_BOARDS;
+  });
+  
+  return listed.flatMap(board => [
+    { board, isNested: false },
+    ...(sectionsByParent.get(board.cacheKey) || []).map(section => ({ board: section, isNested: true }))
+  ]);
+}
+
 function createBrowseButton() {
   const btn = document.createElement('button');
   btn.id = 'pin_at_home-browse-btn';
@@ -98,6 +321,57 @@ function createBrowseButton() {
   return btn;
 }
 
+/**
+ * Export every board, with settings and local folders, to one backup file
+ */
+function createExportAllButton() {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-menu-btn browse';
+  btn.textContent = '💾 Export All Boards';
+  btn.onclick = () => {
+    if (btn.disabled) return;
+    onBackupExport?.(null, (status) => {
+      btn.textContent = status ? `💾 ${status}` : '💾 Export All Boards';
+      btn.disabled = !!status;
+    });
+  };
+  return btn;
+}
+
+/**
+ * Import a backup file (merge or replace is asked by the callback)
+ */
+function createImportButton() {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-menu-btn browse';
+  btn.textContent = '📥 Import Backup';
+  
+  const hiddenInput = document.createElement('input');
+  hiddenInput.type = 'file';
+  hiddenInput.accept = '.jsonl,.json,application/x-ndjson,application/json';
+  hiddenInput.style.display = 'none';
+  hiddenInput.onchange = () => {
+    const file = hiddenInput.files[0];
+    hiddenInput.value = '';
+    if (!file) return;
+    onBackupImport?.(file, (status) => {
+      btn.textContent = status ? `📥 ${status}` : '📥 Import Backup';
+      btn.disabled = !!status;
+    });
+  };
+  
+  btn.onclick = () => hiddenInput.click();
+  return btn;
+}
+
+function createStorageButton() {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-menu-btn browse';
+  btn.textContent = '📊 Storage';
+  btn.onclick = () => onStorageOpen?.();
+  return btn;
+}
+
 function createLinkLocalFolderButton() {
   const btn = document.createElement('button');
   btn.className = 'pin_at_home-menu-btn browse';
@@ -132,17 +406,24 @@ function createLinkLocalFolderButton() {
         return;
       }
 
-      // Generate Blob URLs
-      const urls = imageFiles.map(file => URL.createObjectURL(file));
-      const revokeAll = () => {
-        urls.forEach(url => URL.revokeObjectURL(url));
-        console.log(`Session: Revoked ${urls.length} Blob URLs`);
-      };
-
       // Handle the "switch" manually for session boards
       if (state.revokeBlobUrls) {
         state.revokeBlobUrls();
       }
+      releaseThumbnails();
+
+      // Generate Blob URLs (GIFs get still thumbnails only with "posters only", so they keep playing)
+      const urls = imageFiles.map(file => {
+        const url = URL.createObjectURL(file);
+        if (state.postersOnly || file.type !== 'image/gif') {
+          registerLocalImage(url, file, file.webkitRelativePath || file.name);
+        }
+        return url;
+      });
+      const revokeAll = () => {
+        urls.forEach(url => URL.revokeObjectURL(url));
+        console.log(`Session: Revoked ${urls.length} Blob URLs`);
+      };
 
       updateState({ 
         cacheKey: boardId, 
@@ -194,6 +475,9 @@ export function rebuildBoardMenu(boards, currentBoard) {
   
   menuItems.appendChild(createLinkLocalFolderButton());
   menuItems.appendChild(createBrowseButton());
+  menuItems.appendChild(createExportAllButton());
+  menuItems.appendChild(createImportButton());
+  menuItems.appendChild(createStorageButton());
 }
 
 export function capitalizeWords(str) {
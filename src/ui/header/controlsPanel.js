@@ -1,6 +1,11 @@
-// Controls Panel Component (pause, shuffle, speed, pin count)
+// Controls Panel Component (pause, shuffle, speed, pin count, video, passive capture)
+import { CONFIG } from '../../config.js';
+import { state, updateState } from '../../state.js';
 import { renderPins, setScrollSpeedMultiplier, setScrollPaused, getScrollPaused, setPinCountLimit } from '../grid.js';
-import { saveScrollSpeed, getScrollSpeed, savePinCount, getPinCount } from '../../cache.js';
+import {
+  saveScrollSpeed, getScrollSpeed, savePinCount, getPinCount, savePostersOnly,
+  getPassiveCapture, savePassiveCapture
+} from '../../cache.js';
 
 export function createControlsPanel() {
   const panel = document.createElement('div');
@@ -51,6 +56,8 @@ function createSettingsPanel() {
   
   panel.appendChild(createPinCountPanel());
   panel.appendChild(createSpeedPanel());
+  panel.appendChild(createVideoPanel());
+  panel.appendChild(createCapturePanel());
   
   return panel;
 }
@@ -101,7 +108,83 @@ function createSpeedPanel() {
   return panel;
 }
 
+function createVideoPanel() {
+  const panel = document.createElement('div');
+  panel.className = 'pin_at_home-video-panel';
+  
+  const label = document.createElement('span');
+  label.className = 'pin_at_home-panel-label';
+  label.textContent = 'Video';
+  panel.appendChild(label);
+  
+  // Same look as the pin count buttons
+  [['play', 'PLAY'], ['posters', 'POSTERS']].forEach(([mode, text]) => {
+    const btn = document.createElement('button');
+    btn.className = 'pin_at_home-count-btn pin_at_home-video-btn';
+    btn.dataset.video = mode;
+    btn.textContent = text;
+    btn.title = mode === 'play' ? 'Play video and GIF pins (muted)' : 'Show video pins as still images (lighter)';
+    btn.onclick = () => handleVideoModeChange(mode === 'posters');
+    panel.appendChild(btn);
+  });
+  
+  return panel;
+}
+
+function createCapturePanel() {
+  const panel = document.createElement('div');
+  panel.className = 'pin_at_home-capture-panel';
+  
+  const label = document.createElement('span');
+  label.className = 'pin_at_home-panel-label';
+  label.textContent = 'Seen';
+  label.title = 'Passive capture: pins you scroll past on Pinterest go to "Seen on Pinterest"';
+  panel.appendChild(label);
+  
+  // OFF, or the size cap of the rolling "Seen on Pinterest" board
+  ['off', ...CONFIG.PASSIVE_CAPTURE_SIZES.map(String)].forEach(value => {
+    const btn = document.createElement('button');
+    btn.className = 'pin_at_home-count-btn pin_at_home-capture-btn';
+    btn.dataset.capture = value;
+    btn.textContent = value === 'off' ? 'OFF' : value;
+    btn.title = value === 'off' ? 'Don\'t capture pins while browsing Pinterest' : `Keep the last ${value} pins seen on Pinterest`;
+    btn.onclick = () => handleCaptureChange(value);
+    panel.appendChild(btn);
+  });
+  
+  return panel;
+}
+
 // Event handlers
+async function handleCaptureChange(value) {
+  const changes = value === 'off'
+    ? { enabled: false }
+    : { enabled: true, maxPins: parseInt(value) };
+  await savePassiveCapture(changes);
+  updateCaptureButtons(await getPassiveCapture());
+}
+
+function updateCaptureButtons({ enabled, maxPins }) {
+  document.querySelectorAll('.pin_at_home-capture-btn').forEach(btn => {
+    btn.classList.toggle('active', enabled ? btn.dataset.capture === String(maxPins) : btn.dataset.capture === 'off');
+  });
+}
+
+async function handleVideoModeChange(postersOnly) {
+  updateVideoButtons(postersOnly);
+  if (postersOnly === state.postersOnly) return;
+  
+  updateState({ postersOnly });
+  await savePostersOnly(postersOnly);
+  renderPins();
+}
+
+function updateVideoButtons(postersOnly) {
+  document.querySelectorAll('.pin_at_home-video-btn').forEach(btn => {
+    btn.classList.toggle('active', (btn.dataset.video === 'posters') === postersOnly);
+  });
+}
+
 async function handlePinCountChange(count, panel) {
   panel.querySelectorAll('.pin_at_home-count-btn').forEach(b => b.classList.remove('active'));
   panel.querySelector(`[data-count="${count}"]`).classList.add('active');
@@ -130,7 +213,10 @@ export async function applySavedSettings(savedCount) {
   if (slider) slider.value = savedSpeed;
   if (label) label.textContent = `Speed: ${savedSpeed}%`;
   
-  document.querySelectorAll('.pin_at_home-count-btn').forEach(btn => {
+  document.querySelectorAll('.pin_at_home-count-btn[data-count]').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.count === savedCount);
   });
+  
+  updateVideoButtons(state.postersOnly);
+  updateCaptureButtons(await getPassiveCapture());
 }
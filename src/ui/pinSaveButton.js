@@ -0,0 +1,122 @@
+// Pin@Home - Pin Save Button
+// "Add to Pin@Home" hover button and its collection dropdown (Pinterest pages)
+
+const BUTTON_LABEL = '+ Pin@Home';
+const BUTTON_MARGIN = 8;
+
+let resetTimer = null;
+
+/**
+ * Create the hover button (hidden until positioned over a pin)
+ * @param {function(): void} onClick
+ * @returns {HTMLButtonElement}
+ */
+export function createSaveButton(onClick) {
+  const button = document.createElement('button');
+  button.id = 'pin_at_home-save-btn';
+  button.textContent = BUTTON_LABEL;
+  button.title = 'Save this pin to a Pin@Home collection';
+  button.style.display = 'none';
+  button.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onClick();
+  };
+  return button;
+}
+
+/**
+ * Show the button in the top-left corner of a pin
+ * (the top-right corner is taken by Pinterest's own Save button)
+ * @param {HTMLButtonElement} button
+ * @param {HTMLElement} pinElement - Pin card or closeup image
+ */
+export function positionSaveButton(button, pinElement) {
+  const rect = pinElement.getBoundingClientRect();
+  button.style.top = `${Math.max(rect.top, 0) + BUTTON_MARGIN}px`;
+  button.style.left = `${rect.left + BUTTON_MARGIN}px`;
+  button.style.display = '';
+}
+
+export function hideSaveButton(button) {
+  button.style.display = 'none';
+}
+
+/**
+ * Briefly replace the button label with a result ("Saved ✓", ...)
+ * @param {HTMLButtonElement} button
+ * @param {string} text
+ */
+export function showSaveResult(button, text) {
+  button.textContent = text;
+  clearTimeout(resetTimer);
+  resetTimer = setTimeout(() => {
+    button.textContent = BUTTON_LABEL;
+  }, 1500);
+}
+
+/**
+ * Open the collection dropdown under the button
+ * @param {HTMLButtonElement} button
+ * @param {Array<{cacheKey: string, name: string}>} collections
+ * @param {Object} handlers
+ * @param {function(Object): void} handlers.onSelect - Called with the picked collection
+ * @param {function(string): void} handlers.onCreate - Called with a new collection name
+ * @returns {HTMLElement}
+ */
+export function openSaveMenu(button, collections, { onSelect, onCreate }) {
+  closeSaveMenu();
+  
+  const menu = document.createElement('div');
+  menu.id = 'pin_at_home-save-menu';
+  
+  const rect = button.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.left = `${rect.left}px`;
+  
+  const label = document.createElement('div');
+  label.className = 'save-menu-label';
+  label.textContent = collections.length ? 'Save to collection' : 'No collections yet';
+  menu.appendChild(label);
+  
+  collections.forEach(collection => {
+    const item = document.createElement('button');
+    item.className = 'save-menu-item';
+    item.textContent = collection.name;
+    item.onclick = (e) => {
+      e.stopPropagation();
+      closeSaveMenu();
+      onSelect(collection);
+    };
+    menu.appendChild(item);
+  });
+  
+  const input = document.createElement('input');
+  input.className = 'save-menu-input';
+  input.type = 'text';
+  input.placeholder = 'New collection…';
+  input.maxLength = 60;
+  input.onkeydown = (e) => {
+    e.stopPropagation(); // Keep Pinterest's keyboard shortcuts out of the input
+    if (e.key === 'Enter' && input.value.trim()) {
+      const name = input.value.trim();
+      closeSaveMenu();
+      onCreate(name);
+    } else if (e.key === 'Escape') {
+      closeSaveMenu();
+    }
+  };
+  menu.appendChild(input);
+  
+  document.body.appendChild(menu);
+  if (collections.length === 0) input.focus();
+  return menu;
+}
+
+export function closeSaveMenu() {
+  document.getElementById('pin_at_home-save-menu')?.remove();
+}
+
+export function isSaveMenuOpen() {
+  return !!document.getElementById('pin_at_home-save-menu');
+}
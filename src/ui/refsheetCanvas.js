@@ -2,6 +2,7 @@
 // Handles the reference sheet canvas overlay
 
 import { state, updateState } from '../state.js';
+import { applyImageSource } from '../utils/imageResolution.js';
 
 /**
  * Open the refsheet canvas overlay
@@ -269,7 +270,7 @@ function populateRefsheetCanvas() {
   state.selectedImages.forEach((url, index) => {
     const img = document.createElement('img');
     img.className = 'pin_at_home-refsheet-image';
-    img.src = url;
+    applyImageSource(img, url, 'refsheet');
     img.alt = `Reference ${index + 1}`;
     img.draggable = false;
     
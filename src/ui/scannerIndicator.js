@@ -1,42 +1,178 @@
 // Pin@Home - Scanner Indicator
 // Progress bar and status indicator for Pinterest pages
 
+import { applyImageSource } from '../utils/imageResolution.js';
+
 /**
  * Create the scanner indicator element with progress bar
  * @param {number} [targetCount] - Optional target pin count
+ * @param {number} [cachedCount] - Pins already cached for this board (enables "Quick update")
+ * @param {string} [scanLabel] - Scan button text
  * @returns {HTMLElement}
  */
-export function createScannerIndicator(targetCount = null) {
+export function createScannerIndicator(targetCount = null, cachedCount = 0, scanLabel = 'Scan Board') {
   const indicator = document.createElement('div');
   indicator.id = 'pin_at_home-indicator';
   
   const countText = targetCount ? `(${targetCount} pins)` : '';
+  const updateBtn = cachedCount > 0
+    ? `<button id="pin_at_home-update-btn" class="indicator-btn secondary" title="Only fetch pins added since the last scan">Quick update</button>`
+    : '';
   
   indicator.innerHTML = `
     <div class="indicator-content">
       <div class="indicator-header">
         <span class="indicator-text">Pin@Home </span>
-        <button id="pin_at_home-scan-btn" class="indicator-btn">Scan Board ${countText}</button>
+        <div class="indicator-actions">
+          ${updateBtn}
+          <button id="pin_at_home-scan-btn" class="indicator-btn">${scanLabel} ${countText}</button>
+        </div>
       </div>
       <div class="indicator-progress" style="display: none;">
         <div class="indicator-progress-bar"></div>
       </div>
       <div class="indicator-details" style="display: none;"></div>
+      <div class="indicator-scan-controls" style="display: none;">
+        <button id="pin_at_home-scan-pause-btn" class="indicator-btn secondary">Pause</button>
+        <button id="pin_at_home-scan-cancel-btn" class="indicator-btn secondary" title="Stop and keep the pins found so far">Cancel</button>
+      </div>
+    </div>
+  `;
+  return indicator;
+}
+
+/**
+ * Create the profile page indicator: a checklist of the user's boards to batch-scan
+ * @param {Array<{path: string, name: string}>} boards - Boards found on the profile
+ * @param {Object} handlers
+ * @param {function(Array): void} handlers.onStart - Called with the selected boards
+ * @returns {HTMLElement}
+ */
+export function createBatchIndicator(boards, { onStart }) {
+  const indicator = document.createElement('div');
+  indicator.id = 'pin_at_home-indicator';
+  indicator.innerHTML = `
+    <div class="indicator-content">
+      <div class="indicator-header">
+        <span class="indicator-text">Pin@Home - ${boards.length} boards</span>
+        <div class="indicator-actions">
+          <button class="indicator-btn secondary indicator-toggle-all">None</button>
+          <button class="indicator-btn indicator-batch-start"></button>
+        </div>
+      </div>
+      <div class="indicator-batch"></div>
     </div>
   `;
+  
+  const list = indicator.querySelector('.indicator-batch');
+  const startBtn = indicator.querySelector('.indicator-batch-start');
+  const toggleBtn = indicator.querySelector('.indicator-toggle-all');
+  
+  boards.forEach(board => {
+    const row = document.createElement('label');
+    row.className = 'indicator-batch-row';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.onchange = updateStartButton;
+    
+    const name = document.createElement('span');
+    name.textContent = board.name;
+    
+    row.appendChild(checkbox);
+    row.appendChild(name);
+    list.appendChild(row);
+  });
+  
+  const checkboxes = [...list.querySelectorAll('input[type="checkbox"]')];
+  
+  function updateStartButton() {
+    const selected = checkboxes.filter(cb => cb.checked).length;
+    startBtn.textContent = `Scan ${selected} board${selected === 1 ? '' : 's'}`;
+    startBtn.disabled = selected === 0;
+    toggleBtn.textContent = selected === checkboxes.length ? 'None' : 'All';
+  }
+  
+  toggleBtn.onclick = () => {
+    const selectAll = checkboxes.some(cb => !cb.checked);
+    checkboxes.forEach(cb => { cb.checked = selectAll; });
+    updateStartButton();
+  };
+  
+  startBtn.onclick = () => {
+    startBtn.disabled = true;
+    onStart(boards.filter((board, i) => checkboxes[i].checked));
+  };
+  
+  updateStartButton();
   return indicator;
 }
 
+/**
+ * Show per-board progress of a batch scan below the regular scan progress
+ * @param {Object} batch - Batch queue ({ boards: [{ path, name, status, count }] })
+ * @param {Object} [options]
+ * @param {function} [options.onStop] - Called when the user stops the batch
+ */
+export function renderBatchProgress(batch, { onStop } = {}) {
+  const indicator = document.getElementById('pin_at_home-indicator');
+  const content = indicator?.querySelector('.indicator-content');
+  if (!content) return;
+  
+  let list = content.querySelector('.indicator-batch');
+  if (!list) {
+    list = document.createElement('div');
+    list.className = 'indicator-batch';
+    content.appendChild(list);
+  }
+  list.innerHTML = '';
+  
+  const statusIcons = { pending: '•', scanning: '⏳', done: '✓', failed: '✗' };
+  const doneCount = batch.boards.filter(entry => entry.status === 'done').length;
+  
+  const summary = document.createElement('div');
+  summary.className = 'indicator-batch-summary';
+  summary.textContent = `Batch: ${doneCount} / ${batch.boards.length} boards`;
+  list.appendChild(summary);
+  
+  batch.boards.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = `indicator-batch-row ${entry.status}`;
+    
+    const name = document.createElement('span');
+    name.textContent = `${statusIcons[entry.status] || '•'} ${entry.name}`;
+    
+    const count = document.createElement('span');
+    count.className = 'indicator-batch-count';
+    count.textContent = entry.status === 'pending' ? '' : `${entry.count} pins`;
+    
+    row.appendChild(name);
+    row.appendChild(count);
+    list.appendChild(row);
+  });
+  
+  if (onStop) {
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'indicator-btn secondary indicator-batch-stop';
+    stopBtn.textContent = 'Stop batch';
+    stopBtn.onclick = onStop;
+    list.appendChild(stopBtn);
+  }
+}
+
 /**
  * Update indicator with scan progress
  * @param {Object} progress - Progress data
  * @param {number} progress.count - Number of pins found
+ * @param {number} [progress.newCount] - Number of pins not cached before (quick update)
+ * @param {boolean} [progress.isDelta] - Whether this is a quick update
  * @param {number} [progress.target] - Target pin count
  * @param {number} [progress.scrollPercent] - Scroll progress (0-100)
  * @param {boolean} progress.isDone - Whether scanning is complete
  */
 export function updateIndicator(progress) {
-  const { count, target, scrollPercent, isDone } = progress;
+  const { count, newCount, isDelta, target, scrollPercent, isDone } = progress;
   
   const indicator = document.getElementById('pin_at_home-indicator');
   if (!indicator) return;
@@ -45,19 +181,24 @@ export function updateIndicator(progress) {
   const progressBar = indicator.querySelector('.indicator-progress-bar');
   const progressContainer = indicator.querySelector('.indicator-progress');
   const detailsEl = indicator.querySelector('.indicator-details');
-  const btn = indicator.querySelector('#pin_at_home-scan-btn');
+  const actions = indicator.querySelector('.indicator-actions');
+  const scanControls = indicator.querySelector('.indicator-scan-controls');
   
   if (!textEl) return;
   
-  // Hide button when scanning starts
-  if (btn && !isDone) btn.style.display = 'none';
+  // Swap scan buttons for pause/cancel controls while scanning
+  if (actions && !isDone) actions.style.display = 'none';
+  if (!isDone) indicator.querySelector('.indicator-report')?.remove(); // Last scan's report
+  if (scanControls) scanControls.style.display = isDone ? 'none' : 'flex';
   
   // Show progress bars
   if (progressContainer) progressContainer.style.display = 'block';
   if (detailsEl) detailsEl.style.display = 'block';
   
   if (isDone) {
-    textEl.textContent = `Done! ${count} pins cached ✓`;
+    textEl.textContent = isDelta
+      ? `Up to date! +${newCount} new pins ✓`
+      : `Done! ${count} pins cached ✓`;
     indicator.classList.add('done');
     
     if (progressBar) {
@@ -68,18 +209,20 @@ export function updateIndicator(progress) {
     
     if (detailsEl) {
       const percent = target ? Math.round((count / target) * 100) : 100;
-      detailsEl.textContent = target ? `${percent}% of board captured` : 'Scan complete';
+      if (isDelta) {
+        detailsEl.textContent = 'Stopped at already-cached pins';
+      } else {
+        detailsEl.textContent = target ? `${percent}% of board captured` : 'Scan complete';
+      }
     }
     
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      indicator.style.opacity = '0';
-      setTimeout(() => indicator.remove(), 300);
-    }, 5000);
+    if (!indicator.classList.contains('batch')) scheduleIndicatorHide(indicator);
     
   } else {
     // Active scanning state
-    textEl.textContent = `Scanning... ${count} found`;
+    textEl.textContent = isDelta
+      ? `Updating... ${newCount} new`
+      : `Scanning... ${count} found`;
     
     // Calculate progress
     let percent = 0;
@@ -97,7 +240,9 @@ export function updateIndicator(progress) {
     
     // Update details text
     if (detailsEl) {
-      if (target) {
+      if (isDelta) {
+        detailsEl.textContent = `Checked ${count} pins, looking for already-cached ones...`;
+      } else if (target) {
         detailsEl.textContent = `${count} / ${target} pins`;
       } else {
         detailsEl.textContent = 'Scrolling to find pins...';
@@ -106,6 +251,228 @@ export function updateIndicator(progress) {
   }
 }
 
+/**
+ * Show the paused/resumed state of the running scan
+ * @param {boolean} paused - Whether the scan is paused
+ * @param {boolean} [auto=false] - Paused because the tab was hidden
+ */
+export function setIndicatorPaused(paused, auto = false) {
+  const indicator = document.getElementById('pin_at_home-indicator');
+  if (!indicator) return;
+  
+  const textEl = indicator.querySelector('.indicator-text');
+  const progressBar = indicator.querySelector('.indicator-progress-bar');
+  const pauseBtn = indicator.querySelector('#pin_at_home-scan-pause-btn');
+  
+  indicator.classList.toggle('paused', paused);
+  if (pauseBtn) pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  if (progressBar) progressBar.classList.toggle('scanning', !paused);
+  if (textEl && paused) {
+    textEl.textContent = auto ? 'Paused (tab hidden)' : 'Paused';
+  }
+}
+
+/**
+ * Show that the scan was cancelled and what was kept
+ * @param {number} count - Pins saved before cancelling
+ */
+export function showIndicatorCancelled(count) {
+  const indicator = document.getElementById('pin_at_home-indicator');
+  if (!indicator) return;
+  
+  const textEl = indicator.querySelector('.indicator-text');
+  const detailsEl = indicator.querySelector('.indicator-details');
+  const progressBar = indicator.querySelector('.indicator-progress-bar');
+  const scanControls = indicator.querySelector('.indicator-scan-controls');
+  
+  indicator.classList.remove('paused', 'batch');
+  indicator.classList.add('cancelled');
+  if (textEl) textEl.textContent = `Cancelled - ${count} pins saved`;
+  if (detailsEl) detailsEl.textContent = 'Scan stopped before the end of the board';
+  if (progressBar) progressBar.classList.remove('scanning');
+  if (scanControls) scanControls.style.display = 'none';
+  
+  scheduleIndicatorHide(indicator);
+}
+
+/**
+ * Auto-hide the indicator after 5 seconds, unless it is waiting for user input
+ * or the scan report is open (closing the report schedules the hide again)
+ * @param {HTMLElement} [indicator] - Defaults to the current indicator
+ */
+export function scheduleIndicatorHide(indicator = document.getElementById('pin_at_home-indicator')) {
+  if (!indicator) return;
+  setTimeout(() => {
+    if (indicator.classList.contains('awaiting-input')) return;
+    if (indicator.querySelector('.indicator-report[open]')) return;
+    indicator.style.opacity = '0';
+    setTimeout(() => indicator.remove(), 300);
+  }, 5000);
+}
+
+/**
+ * List cached pins that are no longer on the board and let the user decide
+ * whether to purge them or keep them as archived
+ * @param {Object[]} missingPins - Pin records the scan never saw
+ * @param {Object} handlers
+ * @param {function(): Promise<number>} handlers.onPurge - Remove the pins from cache
+ * @param {function(): Promise<number>} handlers.onArchive - Keep the pins, marked as archived
+ */
+export function showReconcilePrompt(missingPins, { onPurge, onArchive }) {
+  const indicator = document.getElementById('pin_at_home-indicator');
+  if (!indicator || missingPins.length === 0) return;
+  
+  const content = indicator.querySelector('.indicator-content');
+  if (!content) return;
+  
+  indicator.classList.add('awaiting-input');
+  
+  const MAX_LISTED = 8;
+  const section = document.createElement('div');
+  section.className = 'indicator-reconcile';
+  
+  const label = document.createElement('div');
+  label.className = 'indicator-reconcile-label';
+  label.textContent = `${missingPins.length} cached pin${missingPins.length === 1 ? ' is' : 's are'} no longer on this board`;
+  
+  const list = document.createElement('div');
+  list.className = 'indicator-reconcile-list';
+  missingPins.slice(0, MAX_LISTED).forEach(pin => {
+    const thumb = document.createElement('img');
+    applyImageSource(thumb, pin.url, 'thumbnail');
+    thumb.alt = pin.title || 'Removed pin';
+    thumb.title = pin.title || pin.url;
+    list.appendChild(thumb);
+  });
+  if (missingPins.length > MAX_LISTED) {
+    const more = document.createElement('span');
+    more.className = 'indicator-reconcile-more';
+    more.textContent = `+${missingPins.length - MAX_LISTED}`;
+    list.appendChild(more);
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'indicator-reconcile-actions';
+  
+  const purgeBtn = document.createElement('button');
+  purgeBtn.className = 'indicator-btn';
+  purgeBtn.textContent = 'Remove';
+  
+  const archiveBtn = document.createElement('button');
+  archiveBtn.className = 'indicator-btn secondary';
+  archiveBtn.textContent = 'Keep as archived';
+  
+  const handleChoice = async (handler, verb) => {
+    purgeBtn.disabled = true;
+    archiveBtn.disabled = true;
+    const affected = await handler();
+    label.textContent = `${verb} ${affected} pin${affected === 1 ? '' : 's'}`;
+    list.remove();
+    actions.remove();
+    indicator.classList.remove('awaiting-input');
+    scheduleIndicatorHide(indicator);
+  };
+  
+  purgeBtn.onclick = () => handleChoice(onPurge, 'Removed');
+  archiveBtn.onclick = () => handleChoice(onArchive, 'Archived');
+  
+  actions.appendChild(archiveBtn);
+  actions.appendChild(purgeBtn);
+  
+  section.appendChild(label);
+  section.appendChild(list);
+  section.appendChild(actions);
+  content.appendChild(section);
+}
+
+const STOP_REASONS = {
+  target: 'Reached the pin count in the board header',
+  bottom: 'Reached the bottom of the board (no more pins loading)',
+  'caught-up': 'Caught up with already-cached pins',
+  limit: 'Reached the pin limit for search results',
+  cancelled: 'Cancelled'
+};
+
+const REJECTION_REASONS = {
+  'not-rendered': 'Image not rendered yet (lazy loading)',
+  'not-pinimg': 'Image not hosted on Pinterest',
+  'no-pin-link': 'Not inside a pin link',
+  'bad-pin-id': 'Pin link without a pin ID',
+  'too-small': 'Smaller than 100px (icon or avatar)'
+};
+
+/**
+ * Format a duration as "2m 14s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Add the expandable scan report to the indicator (replaces a previous one)
+ * @param {Object} report - Scan report from the scanner
+ * @param {Object} [options]
+ * @param {boolean} [options.isPast=false] - Report of an earlier scan (shown before scanning)
+ * @param {HTMLElement} [options.indicator] - Defaults to the current indicator
+ */
+export function renderScanReport(report, { isPast = false, indicator = document.getElementById('pin_at_home-indicator') } = {}) {
+  const content = indicator?.querySelector('.indicator-content');
+  if (!content || !report) return;
+  
+  content.querySelector('.indicator-report')?.remove();
+  
+  const details = document.createElement('details');
+  details.className = 'indicator-report';
+  
+  const coverage = report.target ? Math.round((report.found / report.target) * 100) : null;
+  const summary = document.createElement('summary');
+  summary.textContent = isPast
+    ? `Last scan: ${new Date(report.finishedAt).toLocaleDateString()}${coverage !== null ? ` · ${coverage}%` : ''}`
+    : 'Scan report';
+  details.appendChild(summary);
+  
+  const rows = [
+    ['Pins found', report.target ? `${report.found} / ${report.target} in header (${coverage}%)` : `${report.found} (no header count)`]
+  ];
+  if (report.isDelta) rows.push(['New pins', `${report.newCount}`]);
+  rows.push(['Duplicates collapsed', `${report.duplicates}`]);
+  
+  const rejectedTotal = Object.values(report.rejected).reduce((sum, count) => sum + count, 0);
+  rows.push(['Skipped', `${rejectedTotal}`]);
+  Object.entries(report.rejected).forEach(([reason, count]) => {
+    rows.push([`· ${REJECTION_REASONS[reason] || reason}`, `${count}`]);
+  });
+  
+  const { data = 0, dom = 0 } = report.strategies;
+  rows.push(['Source', `${data} from page data, ${dom} from images`]);
+  rows.push(['Stopped', STOP_REASONS[report.reason] || report.reason]);
+  rows.push(['Time', formatDuration(report.elapsedMs)]);
+  
+  const table = document.createElement('div');
+  table.className = 'indicator-report-rows';
+  rows.forEach(([label, value]) => {
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.textContent = value;
+    table.appendChild(labelEl);
+    table.appendChild(valueEl);
+  });
+  details.appendChild(table);
+  
+  // Keep the indicator while the report is read
+  details.addEventListener('toggle', () => {
+    const isFinished = indicator.classList.contains('done') || indicator.classList.contains('cancelled');
+    if (!details.open && isFinished) scheduleIndicatorHide(indicator);
+  });
+  
+  content.appendChild(details);
+}
+
 /**
  * Show error state
  * @param {string} message
@@ -1,10 +1,34 @@
 // Pin@Home - DOM Factory
 // Creates pin elements for both initial load and duplicates
 
+import { state } from '../../state.js';
 import { openFullscreenViewer } from '../fullscreenViewer.js';
 
+// Plays pin videos only while they are on screen (columns keep off-screen items around)
+let videoObserver = null;
+
+function getVideoObserver() {
+  if (!videoObserver) {
+    videoObserver = new IntersectionObserver((entries) => {
+      for (const { target: video, isIntersecting } of entries) {
+        if (!video.isConnected) {
+          videoObserver.unobserve(video);
+        } else if (isIntersecting) {
+          if (!video.src) video.src = video.dataset.src;
+          video.play().catch(() => {}); // Autoplay can be refused - the poster stays visible
+        } else {
+          video.pause();
+        }
+      }
+    });
+  }
+  return videoObserver;
+}
+
 /**
  * Create a pin element (container + image)
+ * Video pins also get a muted, looping video over their poster image,
+ * unless the "posters only" setting is on.
  * @param {string} url - Image URL
  * @returns {{ element: HTMLElement, img: HTMLImageElement }}
  */
@@ -21,5 +45,41 @@ export function createPinElement(url) {
   pin.onclick = () => openFullscreenViewer(url);
   pin.appendChild(img);
   
+  const videoUrl = state.pinVideos.get(url);
+  if (videoUrl && !state.postersOnly) {
+    pin.appendChild(createPinVideo(videoUrl));
+  }
+  
   return { element: pin, img };
 }
+
+/**
+ * Image context for a column pin: animated GIFs keep their original (animated)
+ * file unless "posters only" is on, everything else uses the small column size
+ * @param {string} url - Image URL
+ * @returns {'animated'|'column'}
+ */
+export function getPinImageContext(url) {
+  return !state.postersOnly && /\.gif(\?|$)/i.test(url) ? 'animated' : 'column';
+}
+
+/**
+ * Create the video overlay of a video pin (loads once it scrolls into view)
+ * @param {string} videoUrl - MP4 URL
+ * @returns {HTMLVideoElement}
+ */
+function createPinVideo(videoUrl) {
+  const video = document.createElement('video');
+  video.className = 'pin_at_home-pin-video';
+  video.dataset.src = videoUrl;
+  video.muted = true;
+  video.loop = true;
+  video.playsInline = true;
+  video.preload = 'none';
+  
+  // Broken video: fall back to the poster image underneath
+  video.onerror = () => video.remove();
+  
+  getVideoObserver().observe(video);
+  return video;
+}
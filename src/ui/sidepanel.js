@@ -4,6 +4,7 @@
 import { state, updateState } from '../state.js';
 import { removeFromSelection, clearSelection, setUpdateSidepanelCallback } from './selection.js';
 import { openRefsheetCanvas } from './refsheetCanvas.js';
+import { applyImageSource } from '../utils/imageResolution.js';
 
 // Forward reference to avoid circular import
 let exitBrowseModeRef = null;
@@ -106,7 +107,7 @@ export function updateSidepanel(totalCount = null) {
       item.onclick = () => removeFromSelection(url); // Click anywhere to remove
       
       const img = document.createElement('img');
-      img.src = url;
+      applyImageSource(img, url, 'thumbnail');
       img.alt = `Selected ${index + 1}`;
       
       // Visual indicator (red circle)
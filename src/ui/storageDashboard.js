@@ -0,0 +1,294 @@
+// Pin@Home - Storage Dashboard Module
+
+import { CONFIG } from '../config.js';
+import { getStorageUsage, getDiagnostics, trimBoard, formatBytes } from '../storageUsage.js';
+import { requestOffline } from '../offline.js';
+import { capitalizeWords } from './header/boardMenu.js';
+
+// Board names for display (cacheKey -> name), set when the dashboard opens
+let boardNames = new Map();
+
+/**
+ * Open the storage dashboard
+ * @param {Object[]} boards - Boards from getUnifiedBoards() (for their names)
+ */
+export async function openStorageDashboard(boards) {
+  closeStorageDashboard();
+  boardNames = new Map(boards.map(board => [board.cacheKey, board.boardName]));
+
+  const dashboard = document.createElement('div');
+  dashboard.id = 'pin_at_home-storage-dashboard';
+  dashboard.onclick = (e) => {
+    if (e.target === dashboard) closeStorageDashboard();
+  };
+
+  const panel = document.createElement('div');
+  panel.className = 'pin_at_home-storage-panel';
+
+  const header = document.createElement('div');
+  header.className = 'pin_at_home-storage-header';
+  header.innerHTML = '<span class="pin_at_home-storage-title">📊 Storage</span>';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'pin_at_home-sidepanel-close';
+  closeBtn.innerHTML = '×';
+  closeBtn.title = 'Close';
+  closeBtn.onclick = closeStorageDashboard;
+  header.appendChild(closeBtn);
+
+  const content = document.createElement('div');
+  content.className = 'pin_at_home-storage-content';
+  content.textContent = 'Measuring…';
+
+  panel.appendChild(header);
+  panel.appendChild(content);
+  dashboard.appendChild(panel);
+  document.body.appendChild(dashboard);
+  document.addEventListener('keydown', handleKeydown);
+
+  await renderUsage(content);
+}
+
+export function closeStorageDashboard() {
+  document.getElementById('pin_at_home-storage-dashboard')?.remove();
+  document.removeEventListener('keydown', handleKeydown);
+}
+
+function handleKeydown(e) {
+  if (e.key === 'Escape') closeStorageDashboard();
+}
+
+/**
+ * Measure storage and fill the dashboard (again after each cleanup action)
+ * @param {HTMLElement} content - Dashboard content element
+ */
+async function renderUsage(content) {
+  let usage;
+  try {
+    usage = await getStorageUsage();
+  } catch (e) {
+    console.warn('Pin@Home: Failed to measure storage', e);
+    content.textContent = 'Could not measure storage.';
+    return;
+  }
+
+  content.innerHTML = '';
+  content.appendChild(createSummary(usage));
+  content.appendChild(createBoardTable(usage.boards, content));
+  content.appendChild(await createDiagnostics());
+}
+
+/**
+ * Total against the quota, with the browser's breakdown when it has one
+ */
+function createSummary({ usage, quota, details, localBytes, localQuota, low }) {
+  const summary = document.createElement('div');
+  summary.className = 'pin_at_home-storage-summary';
+
+  const share = quota > 0 ? usage / quota : 0;
+
+  const bar = document.createElement('div');
+  bar.className = 'pin_at_home-storage-bar';
+  const fill = document.createElement('div');
+  fill.className = 'pin_at_home-storage-bar-fill';
+  fill.classList.toggle('low', low);
+  fill.style.width = `${Math.min(share * 100, 100)}%`;
+  bar.appendChild(fill);
+
+  const total = document.createElement('div');
+  total.textContent = `${formatBytes(usage)} of ${formatBytes(quota)} used (${(share * 100).toFixed(1)}%)`;
+
+  summary.appendChild(bar);
+  summary.appendChild(total);
+
+  const parts = [];
+  if (details?.indexedDB !== undefined) parts.push(`Pins and thumbnails: ${formatBytes(details.indexedDB)}`);
+  if (details?.caches !== undefined) parts.push(`Offline images: ${formatBytes(details.caches)}`);
+  parts.push(`Settings: ${formatBytes(localBytes)}${localQuota ? ` of ${formatBytes(localQuota)}` : ''}`);
+
+  const breakdown = document.createElement('div');
+  breakdown.className = 'pin_at_home-storage-detail';
+  breakdown.textContent = parts.join(' · ');
+  summary.appendChild(breakdown);
+
+  if (low) {
+    const warning = document.createElement('div');
+    warning.className = 'pin_at_home-storage-warning-text';
+    warning.textContent = '⚠️ Storage is almost full: new pins and offline images may soon fail to save. Trim large boards or drop offline copies below.';
+    summary.appendChild(warning);
+  }
+
+  return summary;
+}
+
+/**
+ * One row per board, largest first, with its cleanup actions
+ */
+function createBoardTable(boards, content) {
+  const table = document.createElement('table');
+  table.className = 'pin_at_home-storage-table';
+  table.innerHTML = '<thead><tr><th>Board</th><th>Pins</th><th>Size</th><th>Offline</th><th></th></tr></thead>';
+
+  const body = document.createElement('tbody');
+  boards.forEach(board => {
+    const name = boardNames.get(board.cacheKey) || board.cacheKey.replace(CONFIG.CACHE_KEY_PREFIX, '');
+    const row = document.createElement('tr');
+
+    [capitalizeWords(name), board.pinCount, `≈ ${formatBytes(board.bytes)}`, board.offlineBytes ? formatBytes(board.offlineBytes) : '—']
+      .forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+    const actions = document.createElement('td');
+    actions.className = 'pin_at_home-storage-actions';
+    if (board.pinCount > 1) actions.appendChild(createTrimButton(board, name, content));
+    if (board.offlineBytes) actions.appendChild(createDropOfflineButton(board, name, content));
+    row.appendChild(actions);
+
+    body.appendChild(row);
+  });
+
+  if (boards.length === 0) {
+    body.innerHTML = '<tr><td colspan="5">No boards yet.</td></tr>';
+  }
+
+  table.appendChild(body);
+  return table;
+}
+
+function createTrimButton(board, name, content) {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-count-btn';
+  btn.textContent = 'TRIM';
+  btn.title = 'Delete the oldest pins of this board';
+  btn.onclick = async () => {
+    const answer = prompt(`Keep how many of the newest pins of "${name}"? (${board.pinCount} now)`, Math.floor(board.pinCount / 2));
+    const keep = parseInt(answer);
+    if (!Number.isFinite(keep) || keep < 0 || keep >= board.pinCount) return;
+    if (!confirm(`Delete the ${board.pinCount - keep} oldest pins of "${name}"?`)) return;
+
+    try {
+      await trimBoard(board.cacheKey, keep);
+    } catch (e) {
+      console.warn('Pin@Home: Trim failed', e);
+      alert(`Trim failed: ${e.message}`);
+    }
+    await renderUsage(content);
+  };
+  return btn;
+}
+
+function createDropOfflineButton(board, name, content) {
+  const btn = document.createElement('button');
+  btn.className = 'pin_at_home-count-btn';
+  btn.textContent = 'DROP OFFLINE';
+  btn.title = 'Delete the images saved for offline use (the pins stay)';
+  btn.onclick = async () => {
+    if (!confirm(`Remove the offline copy of "${name}"?`)) return;
+    await requestOffline(board.cacheKey, false);
+    await renderUsage(content);
+  };
+  return btn;
+}
+
+/**
+ * Storage schema version, last migration (and failure) and IndexedDB databases
+ */
+async function createDiagnostics() {
+  const diagnostics = document.createElement('div');
+  diagnostics.className = 'pin_at_home-storage-diagnostics';
+
+  const title = document.createElement('div');
+  title.className = 'pin_at_home-storage-diagnostics-title';
+  title.textContent = 'Diagnostics';
+  diagnostics.appendChild(title);
+
+  let schema, databases;
+  try {
+    ({ schema, databases } = await getDiagnostics());
+  } catch (e) {
+    console.warn('Pin@Home: Failed to read diagnostics', e);
+    diagnostics.appendChild(createDetailLine('Could not read the storage schema.'));
+    return diagnostics;
+  }
+
+  const upToDate = schema.version >= schema.latest;
+  diagnostics.appendChild(createDetailLine(
+    `Storage schema: version ${schema.version} of ${schema.latest}${upToDate ? ' (up to date)' : ''}`
+  ));
+
+  const last = schema.history[schema.history.length - 1];
+  if (last) {
+    diagnostics.appendChild(createDetailLine(
+      `Last migration: ${last.version} · ${last.name} · ${new Date(last.at).toLocaleString()}`
+    ));
+  }
+
+  if (schema.lastError) {
+    const error = createDetailLine(
+      `⚠️ Migration ${schema.lastError.version} (${schema.lastError.name}) failed and was rolled back: ${schema.lastError.message}. It is retried each time a page opens.`
+    );
+    error.classList.add('pin_at_home-storage-warning-text');
+    diagnostics.appendChild(error);
+  }
+
+  if (databases.length > 0) {
+    diagnostics.appendChild(createDetailLine(
+      `IndexedDB: ${databases.map(db => `${db.name} v${db.version}`).join(' · ')}`
+    ));
+  }
+
+  return diagnostics;
+}
+
+function createDetailLine(text) {
+  const line = document.createElement('div');
+  line.className = 'pin_at_home-storage-detail';
+  line.textContent = text;
+  return line;
+}
+
+/**
+ * Show (or update) the low storage banner
+ * @param {Object} status
+ * @param {number} status.usage - Bytes used
+ * @param {number} status.quota - Bytes available
+ * @param {boolean} [status.full] - A write already failed for lack of space
+ * @param {function(): void} onOpen - Opens the storage dashboard
+ */
+export function showStorageWarning({ usage, quota, full = false }, onOpen) {
+  let banner = document.getElementById('pin_at_home-storage-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'pin_at_home-storage-banner';
+    document.body.appendChild(banner);
+  }
+
+  const percent = quota > 0 ? Math.round((usage / quota) * 100) : 100;
+  banner.innerHTML = '';
+
+  const text = document.createElement('span');
+  text.textContent = full
+    ? `⚠️ Storage is full (${percent}%): pins could not be saved.`
+    : `⚠️ Storage is ${percent}% full: saves may soon fail.`;
+
+  const openBtn = document.createElement('button');
+  openBtn.className = 'pin_at_home-count-btn';
+  openBtn.textContent = 'FREE UP SPACE';
+  openBtn.onclick = () => {
+    banner.remove();
+    onOpen();
+  };
+
+  const dismissBtn = document.createElement('button');
+  dismissBtn.className = 'pin_at_home-sidepanel-close';
+  dismissBtn.innerHTML = '×';
+  dismissBtn.title = 'Dismiss';
+  dismissBtn.onclick = () => banner.remove();
+
+  banner.appendChild(text);
+  banner.appendChild(openBtn);
+  banner.appendChild(dismissBtn);
+}
@@ -2,49 +2,141 @@
 import { CONFIG } from './config.js';
 
 /**
- * Validate that we're on a board page
- * @returns {boolean} True if current page is a valid board page
+ * Split a Pinterest path into board parts
+ * Boards: /{username}/{board}/ - Sections: /{username}/{board}/{section}/
+ * @param {string} path - URL pathname
+ * @returns {{username: string, board: string, section: string|null}|null} Null if not a board/section path
  */
-export function isBoardPage() {
-  const path = window.location.pathname;
-  // Board URLs follow pattern: /{username}/{board-name}/
-  // Must have at least 2 path segments (excluding empty strings from leading/trailing slashes)
+export function parseBoardPath(path) {
   const segments = path.split('/').filter(s => s.length > 0);
+  if (segments.length !== 2 && segments.length !== 3) return null;
   
-  // Board pages have exactly 2 segments: username and board name
-  // Exclude known non-board patterns
-  if (segments.length === 2) {
-    // Check if first segment is not a known non-board pattern
-    const isValid = !CONFIG.NON_BOARD_PATTERNS.includes(segments[0].toLowerCase());
-    if (isValid) {
-      console.log(`🧘 Pin@Home: Valid board page detected: ${segments[0]}/${segments[1]}`);
-    }
-    return isValid;
+  const [username, board, section = null] = segments;
+  
+  // Exclude known non-board patterns and Pinterest's own "_" routes (_saved, _created, _tools...)
+  if (CONFIG.NON_BOARD_PATTERNS.includes(username.toLowerCase())) return null;
+  if (board.startsWith('_')) return null;
+  if (section && (section.startsWith('_') || CONFIG.NON_SECTION_PATTERNS.includes(section.toLowerCase()))) {
+    return null;
   }
   
-  return false;
+  return { username, board, section };
 }
 
 /**
- * Extract board name from URL
+ * Validate that we're on a board (or board section) page
+ * @returns {boolean} True if current page is a valid board page
+ */
+export function isBoardPage() {
+  const parts = parseBoardPath(window.location.pathname);
+  if (parts) {
+    const sectionText = parts.section ? `/${parts.section}` : '';
+    console.log(`🧘 Pin@Home: Valid board page detected: ${parts.username}/${parts.board}${sectionText}`);
+  }
+  return parts !== null;
+}
+
+/**
+ * Get the username if the current page is a profile page (/{username}/ or /{username}/_saved/)
+ * @returns {string|null} Username, or null if not a profile page
+ */
+export function getProfileUsername() {
+  const segments = window.location.pathname.split('/').filter(s => s.length > 0);
+  if (segments.length === 0 || segments.length > 2) return null;
+  if (segments.length === 2 && segments[1] !== '_saved') return null;
+  if (CONFIG.NON_BOARD_PATTERNS.includes(segments[0].toLowerCase())) return null;
+  return segments[0];
+}
+
+/**
+ * Extract board name from URL (the section name on section pages)
  * @returns {string} Decoded board name
  */
 export function extractBoardName() {
-  const path = window.location.pathname;
-  const segments = path.split('/').filter(s => s.length > 0);
-  if (segments.length >= 2) {
-    return decodeURIComponent(segments[1].replace(/-/g, ' '));
-  }
-  return '';
+  const parts = parseBoardPath(window.location.pathname);
+  if (!parts) return '';
+  return decodeURIComponent((parts.section || parts.board).replace(/-/g, ' '));
+}
+
+/**
+ * Canonical form of a board path: decoded, lowercase, no trailing slash.
+ * Pinterest paths are case-insensitive and some locale domains percent-encode
+ * non-ASCII slugs, so the same board can show up under several spellings.
+ * @param {string} path - URL pathname (or the path part of a cache key)
+ * @returns {string} e.g. /user/board or /user/board/section
+ */
+export function canonicalBoardPath(path) {
+  const segments = path.split('/').filter(s => s.length > 0).map(segment => {
+    try {
+      return decodeURIComponent(segment).toLowerCase();
+    } catch (e) {
+      return segment.toLowerCase(); // Malformed escape - keep as-is
+    }
+  });
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * Canonical cache key for a board path
+ * The same board scanned from any Pinterest domain maps to one key.
+ * @param {string} path - URL pathname
+ * @returns {string}
+ */
+export function toCacheKey(path) {
+  return CONFIG.CACHE_KEY_PREFIX + canonicalBoardPath(path);
 }
 
 /**
  * Generate cache key from current URL
+ * Sections get their own key: prefix + /{username}/{board}/{section}
  * @returns {string} Cache key for current board
  */
 export function generateCacheKey() {
-  const path = window.location.pathname.replace(/\/$/, ''); // Remove trailing slash
-  return CONFIG.CACHE_KEY_PREFIX + path;
+  return toCacheKey(window.location.pathname);
+}
+
+/**
+ * Get the parent board's cache key for a section page
+ * @returns {string|null} Parent cache key, or null if not on a section
+ */
+export function getParentBoardCacheKey() {
+  const parts = parseBoardPath(window.location.pathname);
+  if (!parts?.section) return null;
+  return toCacheKey(`/${parts.username}/${parts.board}`);
+}
+
+/**
+ * Get the query of a search or ideas page
+ * Search: /search/pins/?q={query} - Ideas: /ideas/{topic}/{id}/
+ * @param {Location|URL} [location] - Page location (the current page by default)
+ * @returns {string|null} Normalized query (lowercase, single spaces), or null if not a search page
+ */
+export function getSearchQuery(location = window.location) {
+  const segments = location.pathname.split('/').filter(s => s.length > 0);
+  let query = null;
+  
+  if (segments[0] === 'search') {
+    query = new URLSearchParams(location.search).get('q');
+  } else if (segments[0] === 'ideas' && segments.length >= 2) {
+    try {
+      query = decodeURIComponent(segments[1]).replace(/-/g, ' ');
+    } catch (e) {
+      query = segments[1].replace(/-/g, ' ');
+    }
+  }
+  
+  // Slashes would add path segments to the cache key
+  const normalized = (query || '').replace(/[\s/]+/g, ' ').trim().toLowerCase();
+  return normalized || null;
+}
+
+/**
+ * Cache key of a saved search board: prefix + /_search/{query}
+ * @param {string} query - Normalized query (from getSearchQuery())
+ * @returns {string}
+ */
+export function toSearchCacheKey(query) {
+  return `${CONFIG.CACHE_KEY_PREFIX}/${CONFIG.SEARCH_PATH}/${query}`;
 }
 
 /**
@@ -96,6 +188,46 @@ export function showReloadNotification() {
   setTimeout(() => notice.remove(), 5000);
 }
 
+/**
+ * Show that pins couldn't be saved (auto-removed after 8 seconds, once at a time)
+ * @param {boolean} storageFull - The browser ran out of storage space
+ */
+export function showSaveFailedNotification(storageFull) {
+  if (document.getElementById('pin_at_home-save-failed-notice')) return;
+  
+  const notice = document.createElement('div');
+  notice.id = 'pin_at_home-save-failed-notice';
+  notice.style.cssText = `
+    position: fixed;
+    bottom: 24px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: rgba(230, 0, 35, 0.95);
+    color: white;
+    padding: 14px 24px;
+    border-radius: 12px;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    font-size: 15px;
+    font-weight: 500;
+    z-index: 2147483647;
+    box-shadow: 0 4px 20px rgba(0,0,0,0.3);
+    text-align: center;
+  `;
+  notice.innerHTML = storageFull
+    ? `
+    <div style="margin-bottom: 6px;">⚠️ Pin@Home: storage is full, pins not saved</div>
+    <div style="font-size: 13px; opacity: 0.9;">Free up space from the new tab: board menu → 📊 Storage</div>
+  `
+    : `
+    <div style="margin-bottom: 6px;">⚠️ Pin@Home: pins could not be saved</div>
+    <div style="font-size: 13px; opacity: 0.9;">Details are in the console</div>
+  `;
+  
+  document.body.appendChild(notice);
+  
+  setTimeout(() => notice.remove(), 8000);
+}
+
 /**
  * Scroll down a few times to load more pins
  * Uses requestIdleCallback to avoid blocking animation
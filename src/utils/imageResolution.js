@@ -0,0 +1,157 @@
+// Pin@Home - Image Resolution Module
+// Picks the pinimg size each view needs (small for scrolling columns, originals
+// for the viewer and refsheet) and falls back to smaller sizes when one fails.
+
+import { CONFIG } from '../config.js';
+
+// https://i.pinimg.com/<size>/8d/3f/c0/<hash>.jpg
+const PINIMG_PATTERN = /^(https?:\/\/i\.pinimg\.com\/)([^/]+)(\/.+)$/i;
+const SIZE_SEGMENT_PATTERN = /^(originals|\d+x\d*)$/i;
+
+// Stored URL + context -> the candidate that actually loaded (skips known 404s)
+const resolvedUrls = new Map();
+
+// Last resort once every candidate failed: stored URL -> Promise<image URL or null>
+// (saved offline copies, see useOfflineImages() in offline.js)
+let fallbackSource = null;
+
+// Image -> its latest slow-load watch (see watchSlowImage)
+const slowWatches = new WeakMap();
+
+/**
+ * Rewrite a pinimg URL to another size
+ * Resized copies are always JPEG, even when the original is a PNG or GIF.
+ * @param {string} url - Image URL
+ * @param {string} size - Size segment ('originals', '736x', '474x', '236x')
+ * @returns {string} Resized URL (other URLs, e.g. local blobs, are returned unchanged)
+ */
+export function resizePinUrl(url, size) {
+  const match = url.match(PINIMG_PATTERN);
+  if (!match || !SIZE_SEGMENT_PATTERN.test(match[2])) return url;
+
+  const path = size === 'originals' ? match[3] : match[3].replace(/\.(png|gif|webp)$/i, '.jpg');
+  return `${match[1]}${size}${path}`;
+}
+
+/**
+ * URLs to try for a view, best first: the context's size, every smaller size,
+ * then the URL as it was stored
+ * @param {string} url - Stored image URL
+ * @param {string} context - View ('column', 'viewer', 'refsheet', 'thumbnail')
+ * @returns {string[]}
+ */
+export function getImageCandidates(url, context) {
+  const sizes = CONFIG.IMAGE_SIZES;
+  const preferred = CONFIG.IMAGE_RESOLUTION[context] || sizes[sizes.length - 1];
+  const start = Math.max(sizes.indexOf(preferred), 0);
+
+  const candidates = sizes.slice(start).map(size => resizePinUrl(url, size));
+  candidates.push(url);
+  return [...new Set(candidates)];
+}
+
+/**
+ * Best known URL for a view (the one that loaded last time, if any)
+ * @param {string} url - Stored image URL
+ * @param {string} context - View
+ * @returns {string}
+ */
+export function getImageUrl(url, context) {
+  return resolvedUrls.get(`${context}|${url}`) || getImageCandidates(url, context)[0];
+}
+
+/**
+ * Load an image at the right size for its view, stepping down through the
+ * fallback sizes on error. Replaces the image's onerror handler.
+ * @param {HTMLImageElement} img - Target image
+ * @param {string} url - Stored image URL
+ * @param {string} context - View ('column', 'viewer', 'refsheet', 'thumbnail')
+ * @param {function} [onFailed] - Called once every candidate failed
+ */
+export function applyImageSource(img, url, context, onFailed) {
+  const key = `${context}|${url}`;
+  const known = resolvedUrls.get(key);
+  const candidates = known ? [known, ...getImageCandidates(url, context)] : getImageCandidates(url, context);
+  let index = 0;
+
+  img.onerror = () => {
+    index++;
+    if (index < candidates.length) {
+      if (CONFIG.DEBUG) console.log(`🖼️ Pin@Home: ${candidates[index - 1]} failed, trying ${candidates[index]}`);
+      img.src = candidates[index];
+    } else {
+      img.onerror = null;
+      resolvedUrls.delete(key);
+      applyFallbackSource(img, url, onFailed);
+    }
+  };
+
+  img.addEventListener('load', () => {
+    if (img.src === candidates[index]) resolvedUrls.set(key, candidates[index]);
+  }, { once: true });
+
+  img.src = candidates[0];
+}
+
+/**
+ * Set where images come from once every candidate failed (null for nowhere)
+ * @param {function(string): Promise<string|null>|null} resolve - Stored URL -> image URL
+ */
+export function setImageFallback(resolve) {
+  fallbackSource = resolve;
+}
+
+/**
+ * Load the fallback of an image whose candidates all failed
+ * @param {HTMLImageElement} img - Target image
+ * @param {string} url - Stored image URL
+ * @param {function} [onFailed] - Called if there is no fallback, or it fails too
+ */
+function applyFallbackSource(img, url, onFailed) {
+  if (!fallbackSource) {
+    if (onFailed) onFailed();
+    return;
+  }
+
+  const failedSrc = img.src;
+  fallbackSource(url).then(fallbackUrl => {
+    if (img.src !== failedSrc) return; // Image reused for another pin meanwhile
+    if (!fallbackUrl) throw new Error('No fallback');
+    img.onerror = () => {
+      img.onerror = null;
+      if (onFailed) onFailed();
+    };
+    img.src = fallbackUrl;
+  }).catch(() => {
+    if (onFailed) onFailed();
+  });
+}
+
+/**
+ * Switch an image to its fallback if it hasn't loaded after CONFIG.OFFLINE_FALLBACK_TIMEOUT
+ * (pinimg slow rather than down: the saved copy shows instead of waiting)
+ * @param {HTMLImageElement} img - Target image
+ * @param {string} url - Stored image URL
+ * @param {function} [onFailed] - Called if the fallback fails to load
+ */
+export function watchSlowImage(img, url, onFailed) {
+  if (!fallbackSource) return;
+
+  const watch = { loaded: false };
+  slowWatches.set(img, watch);
+  img.addEventListener('load', () => { watch.loaded = true; }, { once: true });
+
+  const isPending = () => !watch.loaded && slowWatches.get(img) === watch;
+  setTimeout(() => {
+    if (!isPending() || !fallbackSource) return;
+    fallbackSource(url).then(fallbackUrl => {
+      if (!fallbackUrl || !isPending()) return;
+      if (CONFIG.DEBUG) console.log(`🖼️ Pin@Home: ${url} is slow, using its saved copy`);
+      img.onerror = () => {
+        img.onerror = null;
+        if (onFailed) onFailed();
+      };
+      img.src = fallbackUrl;
+    }).catch(() => {});
+  }, CONFIG.OFFLINE_FALLBACK_TIMEOUT);
+}
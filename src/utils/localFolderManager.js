@@ -3,6 +3,8 @@
  * Handles File System Access API directory handles and persistence using IndexedDB.
  */
 
+import { registerLocalImage } from './thumbnails.js';
+
 const DB_NAME = 'PinAtHomeLocalSource';
 const STORE_NAME = 'handles';
 const DB_VERSION = 1;
@@ -92,6 +94,51 @@ export async function removeDirectoryHandle(id) {
   });
 }
 
+/**
+ * Restore folder entries from a backup, skipping the ones already linked
+ * Handles can't be serialized, so restored entries have none until re-linked (relinkDirectory)
+ * @param {Array<{id: string, name: string, type: string}>} entries - Entries without handles
+ * @returns {Promise<number>} Number of entries restored
+ */
+export async function importDirectoryEntries(entries) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    let restored = 0;
+    for (const { id, name, type } of entries) {
+      const request = store.add({ id, handle: null, name, type });
+      request.onsuccess = () => restored++;
+      request.onerror = (event) => {
+        event.preventDefault(); // Already linked - keep it
+        event.stopPropagation();
+      };
+    }
+    transaction.oncomplete = () => resolve(restored);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * Ask the user to pick the folder of an entry restored from a backup, and save its handle
+ * Must run from a user gesture (opens the folder picker).
+ * @param {string} id - Entry ID
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+export async function relinkDirectory(id) {
+  const entry = await getDirectoryHandle(id);
+  if (!entry) throw new Error('Local board not found');
+
+  const handle = await window.showDirectoryPicker({ id: 'pin_at_home-relink', mode: 'read' });
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).put({ ...entry, handle });
+    request.onsuccess = () => resolve(handle);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
 /**
  * Verify permission for a handle, requesting if necessary
  */
@@ -133,13 +180,15 @@ export async function scanDirectoryForImages(handle) {
 /**
  * Create Blob URLs for a list of file handles
  * Returns an object containing the URLs and a revoke function
+ * GIFs only get still thumbnails with `thumbnailGifs` ("posters only"), so they keep playing.
  */
-export async function createBlobUrls(fileHandles) {
+export async function createBlobUrls(fileHandles, { thumbnailGifs = false } = {}) {
   const urls = [];
   for (const handle of fileHandles) {
     try {
       const file = await handle.getFile();
       const url = URL.createObjectURL(file);
+      if (thumbnailGifs || file.type !== 'image/gif') registerLocalImage(url, file);
       urls.push(url);
     } catch (e) {
       console.warn(`LocalFolderManager: Failed to load file ${handle.name}`, e);
@@ -0,0 +1,130 @@
+// Pin@Home - Thumbnails Module
+// Column thumbnails made by thumbnailWorker.js (extension pages only)
+
+import { CONFIG } from '../config.js';
+import { applyImageSource, watchSlowImage } from './imageResolution.js';
+
+// https://i.pinimg.com/... - other URLs (offline copies) are only thumbnailed if registered
+const PINIMG_PATTERN = /^https?:\/\/i\.pinimg\.com\//i;
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+
+// Request id -> { resolve, reject }
+const pendingRequests = new Map();
+
+// Image URL -> Promise<string> (object URL of its thumbnail), for the board on screen
+const thumbnailUrls = new Map();
+
+// Local object URL -> { key, file } (see registerLocalImage)
+const localImages = new Map();
+
+/**
+ * Whether thumbnails can be made here
+ * @returns {boolean}
+ */
+function isSupported() {
+  return !workerFailed && location.protocol === 'chrome-extension:' && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Start the worker (once per page)
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../thumbnailWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { id, blob, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+      pendingRequests.delete(id);
+      if (blob) {
+        request.resolve(blob);
+      } else {
+        request.reject(new Error(error));
+      }
+    };
+
+    // Worker couldn't start: fall back to full images for the rest of the page's life
+    worker.onerror = (event) => {
+      console.warn('Pin@Home: Thumbnail worker failed', event.message);
+      workerFailed = true;
+      for (const request of pendingRequests.values()) request.reject(new Error('Thumbnail worker failed'));
+      pendingRequests.clear();
+    };
+  }
+  return worker;
+}
+
+/**
+ * Get the object URL of an image's thumbnail, asking the worker once per image
+ * @param {string} url - Image URL
+ * @returns {Promise<string>}
+ */
+function getThumbnailUrl(url) {
+  let promise = thumbnailUrls.get(url);
+  if (!promise) {
+    const local = localImages.get(url);
+    const message = local ? { key: local.key, blob: local.file } : { key: url, url };
+
+    promise = new Promise((resolve, reject) => {
+      const id = nextRequestId++;
+      pendingRequests.set(id, { resolve, reject });
+      getWorker().postMessage({ id, ...message });
+    }).then(blob => URL.createObjectURL(blob));
+
+    // Failed images are retried the next time they show up
+    promise.catch(() => thumbnailUrls.delete(url));
+    thumbnailUrls.set(url, promise);
+  }
+  return promise;
+}
+
+/**
+ * Record the file behind a local object URL, so its thumbnail can be made and found
+ * again next time (object URLs change on every load)
+ * @param {string} objectUrl - Object URL shown in the columns
+ * @param {File} file - Image file
+ * @param {string} [path] - Path of the file in its folder (defaults to its name)
+ */
+export function registerLocalImage(objectUrl, file, path = file.name) {
+  localImages.set(objectUrl, { key: `local:${path}|${file.size}|${file.lastModified}`, file });
+}
+
+/**
+ * Load a column image from its thumbnail, falling back to applyImageSource when
+ * thumbnails aren't available or the thumbnail fails
+ * @param {HTMLImageElement} img - Target image
+ * @param {string} url - Stored image URL
+ * @param {string} context - View (only 'column' uses thumbnails; 'animated' GIFs keep playing)
+ * @param {function} [onFailed] - Called once every source failed
+ */
+export function applyThumbnailSource(img, url, context, onFailed) {
+  if (context === 'column') watchSlowImage(img, url, onFailed);
+  
+  if (context !== 'column' || !isSupported() || !(PINIMG_PATTERN.test(url) || localImages.has(url))) {
+    applyImageSource(img, url, context, onFailed);
+    return;
+  }
+
+  getThumbnailUrl(url).then(thumbnailUrl => {
+    img.onerror = () => applyImageSource(img, url, context, onFailed);
+    img.src = thumbnailUrl;
+  }).catch(e => {
+    if (CONFIG.DEBUG) console.log(`🖼️ Pin@Home: No thumbnail for ${url} (${e.message})`);
+    applyImageSource(img, url, context, onFailed);
+  });
+}
+
+/**
+ * Release the thumbnails of the board on screen (call when switching boards)
+ */
+export function releaseThumbnails() {
+  for (const promise of thumbnailUrls.values()) {
+    promise.then(thumbnailUrl => URL.revokeObjectURL(thumbnailUrl)).catch(() => {});
+  }
+  thumbnailUrls.clear();
+  localImages.clear();
+}